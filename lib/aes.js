@@ -0,0 +1,459 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// WinZip AES encryption (AE-1 / AE-2), https://www.winzip.com/en/support/aes-encryption/
+//
+// The key is derived with PBKDF2 from WebCrypto, but WinZip runs AES in CTR
+// mode with a little endian counter that WebCrypto's AES-CTR can't produce,
+// and the HMAC has to be computed incrementally over the whole entry, so the
+// block cipher and HMAC-SHA1 are implemented here.
+import { ZipIntegrityError, ZipPasswordError } from './errors.js'
+
+const AUTH_CODE_LENGTH = 10
+const PASSWORD_VERIFIER_LENGTH = 2
+const ITERATIONS = 1000
+
+/** @type {Object<number, { keyLength: number, saltLength: number }>} */
+const STRENGTHS = {
+  1: { keyLength: 16, saltLength: 8 },
+  2: { keyLength: 24, saltLength: 12 },
+  3: { keyLength: 32, saltLength: 16 }
+}
+
+const encoder = new TextEncoder()
+
+// ---------------------------------------------------------------------------
+// AES block cipher, encryption only since that is all CTR mode needs
+// ---------------------------------------------------------------------------
+
+const SBOX = new Uint8Array(256)
+const TE0 = new Uint32Array(256)
+const TE1 = new Uint32Array(256)
+const TE2 = new Uint32Array(256)
+const TE3 = new Uint32Array(256)
+
+;(() => {
+  const exp = new Uint8Array(256)
+  const log = new Uint8Array(256)
+  const mul2 = x => ((x << 1) ^ (x & 0x80 ? 0x1b : 0)) & 0xff
+
+  // 3 is a generator of the multiplicative group of GF(2^8)
+  for (let i = 0, x = 1; i < 255; i++) {
+    exp[i] = x
+    log[x] = i
+    x ^= mul2(x)
+  }
+
+  for (let x = 0; x < 256; x++) {
+    const inv = x ? exp[(255 - log[x]) % 255] : 0
+    let s = inv
+    for (let i = 1; i < 5; i++) s ^= ((inv << i) | (inv >>> (8 - i))) & 0xff
+    s ^= 0x63
+    SBOX[x] = s
+
+    const t = (mul2(s) << 24) | (s << 16) | (s << 8) | (mul2(s) ^ s)
+    TE0[x] = t
+    TE1[x] = (t >>> 8) | (t << 24)
+    TE2[x] = (t >>> 16) | (t << 16)
+    TE3[x] = (t >>> 24) | (t << 8)
+  }
+})()
+
+class AES {
+  /** @type {Uint32Array} */
+  #roundKeys
+  #rounds
+
+  /** @param {Uint8Array} key 16, 24 or 32 bytes */
+  constructor (key) {
+    const nk = key.length / 4
+    const rounds = nk + 6
+    const w = new Uint32Array(4 * (rounds + 1))
+
+    for (let i = 0; i < nk; i++) {
+      w[i] = (key[4 * i] << 24) | (key[4 * i + 1] << 16) | (key[4 * i + 2] << 8) | key[4 * i + 3]
+    }
+
+    for (let i = nk, rcon = 1; i < w.length; i++) {
+      let t = w[i - 1]
+      if (i % nk === 0) {
+        t = (t << 8) | (t >>> 24)
+        t = subWord(t) ^ (rcon << 24)
+        rcon = (rcon << 1) ^ (rcon & 0x80 ? 0x11b : 0)
+      } else if (nk > 6 && i % nk === 4) {
+        t = subWord(t)
+      }
+      w[i] = w[i - nk] ^ t
+    }
+
+    this.#roundKeys = w
+    this.#rounds = rounds
+  }
+
+  /**
+   * Encrypts a single 16 byte block
+   *
+   * @param {Uint8Array} input
+   * @param {Uint8Array} output
+   */
+  encryptBlock (input, output) {
+    const rk = this.#roundKeys
+    let s0 = readWord(input, 0) ^ rk[0]
+    let s1 = readWord(input, 4) ^ rk[1]
+    let s2 = readWord(input, 8) ^ rk[2]
+    let s3 = readWord(input, 12) ^ rk[3]
+    let k = 4
+
+    for (let round = 1; round < this.#rounds; round++) {
+      const t0 = TE0[s0 >>> 24] ^ TE1[(s1 >>> 16) & 255] ^ TE2[(s2 >>> 8) & 255] ^ TE3[s3 & 255] ^ rk[k]
+      const t1 = TE0[s1 >>> 24] ^ TE1[(s2 >>> 16) & 255] ^ TE2[(s3 >>> 8) & 255] ^ TE3[s0 & 255] ^ rk[k + 1]
+      const t2 = TE0[s2 >>> 24] ^ TE1[(s3 >>> 16) & 255] ^ TE2[(s0 >>> 8) & 255] ^ TE3[s1 & 255] ^ rk[k + 2]
+      const t3 = TE0[s3 >>> 24] ^ TE1[(s0 >>> 16) & 255] ^ TE2[(s1 >>> 8) & 255] ^ TE3[s2 & 255] ^ rk[k + 3]
+      s0 = t0
+      s1 = t1
+      s2 = t2
+      s3 = t3
+      k += 4
+    }
+
+    writeWord(output, 0, lastRound(s0, s1, s2, s3) ^ rk[k])
+    writeWord(output, 4, lastRound(s1, s2, s3, s0) ^ rk[k + 1])
+    writeWord(output, 8, lastRound(s2, s3, s0, s1) ^ rk[k + 2])
+    writeWord(output, 12, lastRound(s3, s0, s1, s2) ^ rk[k + 3])
+  }
+}
+
+/** @param {number} w */
+function subWord (w) {
+  return (SBOX[w >>> 24] << 24) | (SBOX[(w >>> 16) & 255] << 16) |
+    (SBOX[(w >>> 8) & 255] << 8) | SBOX[w & 255]
+}
+
+function lastRound (a, b, c, d) {
+  return (SBOX[a >>> 24] << 24) | (SBOX[(b >>> 16) & 255] << 16) |
+    (SBOX[(c >>> 8) & 255] << 8) | SBOX[d & 255]
+}
+
+function readWord (b, i) {
+  return (b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]
+}
+
+function writeWord (b, i, w) {
+  b[i] = w >>> 24
+  b[i + 1] = w >>> 16
+  b[i + 2] = w >>> 8
+  b[i + 3] = w
+}
+
+/**
+ * AES in CTR mode with the little endian counter, starting at 1, that WinZip
+ * uses. Encryption and decryption are the same operation.
+ */
+class AESCounterMode {
+  #aes
+  #counter = new Uint8Array(16)
+  #keystream = new Uint8Array(16)
+  #used = 16
+
+  /** @param {Uint8Array} key */
+  constructor (key) {
+    this.#aes = new AES(key)
+  }
+
+  /**
+   * Xor the chunk with the keystream, in place
+   *
+   * @param {Uint8Array} chunk
+   */
+  update (chunk) {
+    const keystream = this.#keystream
+    const counter = this.#counter
+
+    for (let i = 0; i < chunk.length; i++) {
+      if (this.#used === 16) {
+        // increment the little endian counter
+        for (let j = 0; j < 16 && ++counter[j] === 256; j++) counter[j] = 0
+        this.#aes.encryptBlock(counter, keystream)
+        this.#used = 0
+      }
+      chunk[i] ^= keystream[this.#used++]
+    }
+
+    return chunk
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SHA-1 and HMAC-SHA1, incremental
+// ---------------------------------------------------------------------------
+
+class Sha1 {
+  #h = Uint32Array.of(0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0)
+  #block = new Uint8Array(64)
+  #blockLength = 0
+  #length = 0
+  #w = new Uint32Array(80)
+
+  /** @param {Uint8Array} data */
+  update (data) {
+    let i = 0
+    this.#length += data.length
+
+    if (this.#blockLength) {
+      const part = data.subarray(0, 64 - this.#blockLength)
+      this.#block.set(part, this.#blockLength)
+      this.#blockLength += part.length
+      i = part.length
+      if (this.#blockLength < 64) return this
+      this.#compress(this.#block, 0)
+      this.#blockLength = 0
+    }
+
+    for (; i + 64 <= data.length; i += 64) this.#compress(data, i)
+
+    this.#block.set(data.subarray(i))
+    this.#blockLength = data.length - i
+    return this
+  }
+
+  digest () {
+    const bits = this.#length * 8
+    const padding = new Uint8Array((this.#blockLength < 56 ? 64 : 128) - this.#blockLength)
+    padding[0] = 0x80
+    const dv = new DataView(padding.buffer)
+    dv.setUint32(padding.length - 8, Math.floor(bits / 0x100000000))
+    dv.setUint32(padding.length - 4, bits >>> 0)
+    this.update(padding)
+
+    const out = new Uint8Array(20)
+    for (let i = 0; i < 5; i++) writeWord(out, i * 4, this.#h[i])
+    return out
+  }
+
+  #compress (data, offset) {
+    const w = this.#w
+    const h = this.#h
+
+    for (let i = 0; i < 16; i++) w[i] = readWord(data, offset + i * 4)
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16]
+      w[i] = (x << 1) | (x >>> 31)
+    }
+
+    let a = h[0]
+    let b = h[1]
+    let c = h[2]
+    let d = h[3]
+    let e = h[4]
+
+    for (let i = 0; i < 80; i++) {
+      const f = i < 20
+        ? ((b & c) | (~b & d)) + 0x5a827999
+        : i < 40
+          ? (b ^ c ^ d) + 0x6ed9eba1
+          : i < 60
+            ? ((b & c) | (b & d) | (c & d)) + 0x8f1bbcdc
+            : (b ^ c ^ d) + 0xca62c1d6
+      const t = (((a << 5) | (a >>> 27)) + f + e + w[i]) | 0
+      e = d
+      d = c
+      c = (b << 30) | (b >>> 2)
+      b = a
+      a = t
+    }
+
+    h[0] += a
+    h[1] += b
+    h[2] += c
+    h[3] += d
+    h[4] += e
+  }
+}
+
+class HmacSha1 {
+  #inner = new Sha1()
+  #outerKey
+
+  /** @param {Uint8Array} key at most 64 bytes */
+  constructor (key) {
+    const ipad = new Uint8Array(64).fill(0x36)
+    const opad = new Uint8Array(64).fill(0x5c)
+    for (let i = 0; i < key.length; i++) {
+      ipad[i] ^= key[i]
+      opad[i] ^= key[i]
+    }
+    this.#inner.update(ipad)
+    this.#outerKey = opad
+  }
+
+  /** @param {Uint8Array} data */
+  update (data) {
+    this.#inner.update(data)
+    return this
+  }
+
+  digest () {
+    return new Sha1().update(this.#outerKey).update(this.#inner.digest()).digest()
+  }
+}
+
+// ---------------------------------------------------------------------------
+// WinZip AES streams
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string | Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} keyLength
+ */
+async function deriveKeys (password, salt, keyLength) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    typeof password === 'string' ? encoder.encode(password) : password,
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-1', salt, iterations: ITERATIONS },
+    key,
+    (keyLength * 2 + PASSWORD_VERIFIER_LENGTH) * 8
+  )
+  const bytes = new Uint8Array(bits)
+
+  return {
+    encryptionKey: bytes.subarray(0, keyLength),
+    authenticationKey: bytes.subarray(keyLength, keyLength * 2),
+    passwordVerifier: bytes.subarray(keyLength * 2)
+  }
+}
+
+/**
+ * Creates a TransformStream that decrypts the data of a WinZip AES entry:
+ * the salt, password verifier, encrypted data and authentication code.
+ *
+ * @param {string | Uint8Array} password
+ * @param {number} strength 1, 2 or 3 for AES-128, 192 or 256
+ * @param {string} name entry name, used in error messages
+ */
+function aesDecryptor (password, strength, name) {
+  const { keyLength, saltLength } = STRENGTHS[strength] ?? {}
+  if (!keyLength) {
+    throw new ZipIntegrityError(`Unknown AES strength ${strength} in ${name}`, { entry: name })
+  }
+
+  const headerLength = saltLength + PASSWORD_VERIFIER_LENGTH
+  // the header, and later the trailing bytes that might be the auth code
+  let pending = new Uint8Array(0)
+  /** @type {AESCounterMode} */
+  let cipher
+  /** @type {HmacSha1} */
+  let hmac
+
+  const concat = chunk => {
+    const bytes = new Uint8Array(pending.length + chunk.length)
+    bytes.set(pending)
+    bytes.set(chunk, pending.length)
+    return bytes
+  }
+
+  return new TransformStream({
+    async transform (chunk, ctrl) {
+      let bytes = concat(chunk)
+
+      if (!cipher) {
+        if (bytes.length < headerLength) {
+          pending = bytes
+          return
+        }
+        const keys = await deriveKeys(password, bytes.slice(0, saltLength), keyLength)
+        const verifier = bytes.subarray(saltLength, headerLength)
+        if (verifier[0] !== keys.passwordVerifier[0] || verifier[1] !== keys.passwordVerifier[1]) {
+          throw new ZipPasswordError(`Wrong password for ${name}`, { entry: name })
+        }
+        cipher = new AESCounterMode(keys.encryptionKey)
+        hmac = new HmacSha1(keys.authenticationKey)
+        bytes = bytes.subarray(headerLength)
+      }
+
+      // hold back what could be the authentication code at the end
+      const length = Math.max(0, bytes.length - AUTH_CODE_LENGTH)
+      const data = bytes.slice(0, length)
+      pending = bytes.slice(length)
+
+      if (data.length) {
+        hmac.update(data)
+        ctrl.enqueue(cipher.update(data))
+      }
+    },
+    flush () {
+      if (!cipher || pending.length < AUTH_CODE_LENGTH) {
+        throw new ZipIntegrityError(`Encrypted data of ${name} is truncated`, { entry: name })
+      }
+      const authCode = hmac.digest()
+      for (let i = 0; i < AUTH_CODE_LENGTH; i++) {
+        if (authCode[i] !== pending[i]) {
+          throw new ZipIntegrityError(
+            `Authentication code mismatch in ${name}`,
+            { entry: name }
+          )
+        }
+      }
+    }
+  })
+}
+
+/**
+ * How many bytes encryption adds to an entry: the salt, password verifier
+ * and authentication code. Sizes predicted up front depend on it matching
+ * what `aesEncryptor` writes.
+ *
+ * @param {number} strength 1, 2 or 3 for AES-128, 192 or 256, 0 for none
+ */
+function aesOverhead (strength) {
+  if (!strength) return 0
+  return STRENGTHS[strength].saltLength + PASSWORD_VERIFIER_LENGTH + AUTH_CODE_LENGTH
+}
+
+/**
+ * Creates a TransformStream that encrypts data the WinZip AES way, prepending
+ * the salt and password verifier and appending the authentication code.
+ *
+ * @param {string | Uint8Array} password
+ * @param {number} strength 1, 2 or 3 for AES-128, 192 or 256
+ */
+function aesEncryptor (password, strength) {
+  const { keyLength, saltLength } = STRENGTHS[strength]
+  /** @type {AESCounterMode} */
+  let cipher
+  /** @type {HmacSha1} */
+  let hmac
+
+  return new TransformStream({
+    async start (ctrl) {
+      const salt = crypto.getRandomValues(new Uint8Array(saltLength))
+      const keys = await deriveKeys(password, salt, keyLength)
+      cipher = new AESCounterMode(keys.encryptionKey)
+      hmac = new HmacSha1(keys.authenticationKey)
+      ctrl.enqueue(salt)
+      ctrl.enqueue(keys.passwordVerifier.slice())
+    },
+    transform (chunk, ctrl) {
+      // copy it, the source may still be using it
+      const data = cipher.update(chunk.slice())
+      hmac.update(data)
+      ctrl.enqueue(data)
+    },
+    flush (ctrl) {
+      ctrl.enqueue(hmac.digest().slice(0, AUTH_CODE_LENGTH))
+    }
+  })
+}
+
+export {
+  AES,
+  AESCounterMode,
+  HmacSha1,
+  Sha1,
+  aesDecryptor,
+  aesEncryptor,
+  aesOverhead
+}
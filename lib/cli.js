@@ -0,0 +1,362 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// The zip-go command line tool, for Node.js only. bin/zip-go.js runs it.
+import fs from 'node:fs/promises'
+import { createWriteStream, openAsBlob } from 'node:fs'
+import path from 'node:path'
+import { randomUUID } from 'node:crypto'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { parseArgs } from 'node:util'
+import read, { readComment } from './read.js'
+import Writer from './write.js'
+import Editor from './edit.js'
+import extract from './extract.js'
+import walk from './walk.js'
+import { compressionMethod } from './codecs.js'
+import { ZipIntegrityError } from './errors.js'
+
+const EXIT_OK = 0
+const EXIT_ERROR = 1
+const EXIT_USAGE = 2
+const EXIT_INTEGRITY = 3
+
+const USAGE = `Usage: zip-go <command> [options]
+
+Commands:
+  list <archive> [--json]                       list the entries
+  extract <archive> [destination]               extract, to the current directory
+      [--filter <glob>] [--overwrite error|skip|overwrite] [--dry-run]
+  create <archive> <path...>                    zip files and directories
+      [--compression store|deflate] [--comment <text>]
+      [--exclude <glob>...] [--follow-symlinks]
+  test <archive>                                check every entry's crc and size
+  comment <archive> [text]                      show or replace the archive comment
+
+Options:
+  --password <password>                         for encrypted entries
+  -h, --help                                    show this help
+
+Exit codes: 0 ok, 1 error, 2 bad usage, 3 corrupt entries`
+
+/** @type {Object<string, import('node:util').ParseArgsOptionConfig>} */
+const OPTIONS = {
+  json: { type: 'boolean' },
+  filter: { type: 'string' },
+  overwrite: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  compression: { type: 'string' },
+  comment: { type: 'string' },
+  exclude: { type: 'string', multiple: true },
+  'follow-symlinks': { type: 'boolean' },
+  password: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+/**
+ * Thrown for bad arguments, they exit with `EXIT_USAGE`
+ */
+class UsageError extends Error {}
+
+/**
+ * @typedef {Object} Io
+ * @property {{ write(text: string): unknown }} stdout
+ * @property {{ write(text: string): unknown }} stderr
+ * @property {string} cwd what relative paths are resolved against
+ */
+
+/**
+ * @param {number} n
+ * @param {number} width
+ */
+const pad = (n, width) => String(n).padStart(width)
+
+/**
+ * @param {number} crc
+ */
+const hex = crc => (crc >>> 0).toString(16).padStart(8, '0')
+
+/**
+ * How much smaller the entry got, 0.25 for 25%
+ *
+ * @param {{ size: number, compressedSize: number }} entry
+ */
+const savings = entry => entry.size ? 1 - entry.compressedSize / entry.size : 0
+
+/**
+ * Yields a file, or a directory and everything in it
+ *
+ * @param {string} source
+ * @param {string} name what it's called in the archive
+ * @param {Object} values
+ * @param {string} archive real path of the archive being written, which is
+ *   left out so it doesn't zip itself
+ * @returns {AsyncGenerator<Object>}
+ */
+async function * sourceEntries (source, name, values, archive) {
+  const stats = await fs.stat(source)
+  const attributes = { lastModified: stats.mtimeMs, mode: stats.mode }
+  const real = await fs.realpath(source)
+  if (!stats.isDirectory()) {
+    if (real === archive) return
+    const blob = await openAsBlob(source)
+    yield { name, size: stats.size, ...attributes, stream: () => blob.stream() }
+    return
+  }
+
+  yield { name: name + '/', directory: true, ...attributes }
+  const inside = path.relative(real, archive).split(path.sep).join('/')
+  const options = {
+    exclude: [values.exclude ?? [], entry => entry.name === inside].flat(),
+    symlinks: values['follow-symlinks'] ? 'follow' : 'store'
+  }
+  for await (const entry of walk(source, options)) {
+    yield { ...entry, name: `${name}/${entry.name}` }
+  }
+}
+
+/**
+ * @param {string} cwd
+ * @param {string} file
+ */
+function entryName (cwd, file) {
+  const relative = path.relative(cwd, path.resolve(cwd, file))
+  // things outside of the working directory go in at the top
+  const name = relative === '' || relative.startsWith('..') || path.isAbsolute(relative)
+    ? path.basename(path.resolve(cwd, file))
+    : relative
+  return name.split(path.sep).join('/')
+}
+
+/**
+ * `openAsBlob` only says it was "Unable to open file as blob", with a
+ * TypeError, stat first to get a useful error for missing files
+ *
+ * @param {string} file
+ */
+async function openFile (file) {
+  await fs.stat(file)
+  return openAsBlob(file)
+}
+
+/**
+ * Streams an archive to a file, which is removed again if that fails
+ *
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {string} target
+ */
+async function writeArchive (stream, target) {
+  try {
+    await pipeline(Readable.fromWeb(stream), createWriteStream(target))
+  } catch (err) {
+    await fs.rm(target, { force: true })
+    throw err
+  }
+}
+
+/**
+ * @param {string[]} args
+ * @param {Object} values
+ * @param {Io} io
+ */
+async function list ([archive], values, io) {
+  const file = await openFile(path.resolve(io.cwd, archive))
+  const entries = []
+  for await (const entry of read(file)) entries.push(entry)
+
+  if (values.json) {
+    io.stdout.write(JSON.stringify(entries.map(entry => ({
+      name: entry.name,
+      directory: entry.directory,
+      size: entry.size,
+      compressedSize: entry.compressedSize,
+      ratio: savings(entry),
+      crc32: hex(entry.crc32),
+      lastModified: new Date(entry.lastModified).toISOString(),
+      encrypted: entry.encrypted,
+      comment: entry.comment
+    })), null, 2) + '\n')
+    return EXIT_OK
+  }
+
+  io.stdout.write('      Size  Compressed  Ratio  Modified                  CRC-32    Name\n')
+  let size = 0
+  let compressedSize = 0
+  for (const entry of entries) {
+    size += entry.size
+    compressedSize += entry.compressedSize
+    io.stdout.write([
+      pad(entry.size, 10),
+      pad(entry.compressedSize, 11),
+      pad(`${Math.round(savings(entry) * 100)}%`, 6),
+      new Date(entry.lastModified).toISOString(),
+      hex(entry.crc32),
+      entry.name
+    ].join('  ') + '\n')
+  }
+  io.stdout.write([
+    pad(size, 10),
+    pad(compressedSize, 11),
+    pad(`${Math.round(savings({ size, compressedSize }) * 100)}%`, 6),
+    `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`
+  ].join('  ') + '\n')
+  return EXIT_OK
+}
+
+/**
+ * @param {string[]} args
+ * @param {Object} values
+ * @param {Io} io
+ */
+async function extractCommand ([archive, destination = '.'], values, io) {
+  if (values.overwrite !== undefined && !['error', 'skip', 'overwrite'].includes(values.overwrite)) {
+    throw new UsageError(`--overwrite must be error, skip or overwrite, not ${values.overwrite}`)
+  }
+  const file = await openFile(path.resolve(io.cwd, archive))
+  const extracted = await extract(file, path.resolve(io.cwd, destination), {
+    filter: values.filter,
+    overwrite: values.overwrite,
+    dryRun: values['dry-run'],
+    password: values.password
+  })
+  for (const entry of extracted) {
+    const action = values['dry-run'] ? 'would extract' : entry.skipped ? 'skipped' : 'extracted'
+    io.stdout.write(`${action}: ${entry.name}\n`)
+  }
+  return EXIT_OK
+}
+
+/**
+ * @param {string[]} args
+ * @param {Object} values
+ * @param {Io} io
+ */
+async function create ([archive, ...sources], values, io) {
+  if (!sources.length) throw new UsageError('create needs something to zip')
+  if (values.compression !== undefined) {
+    try {
+      compressionMethod(values.compression)
+    } catch {
+      throw new UsageError(`unknown compression ${values.compression}`)
+    }
+  }
+  const target = path.resolve(io.cwd, archive)
+  // it doesn't exist yet, but the directory it goes in should
+  const real = path.join(await fs.realpath(path.dirname(target)), path.basename(target))
+
+  let count = 0
+  async function * entries () {
+    for (const source of sources) {
+      for await (const entry of sourceEntries(path.resolve(io.cwd, source), entryName(io.cwd, source), values, real)) {
+        count++
+        yield entry
+      }
+    }
+  }
+
+  await writeArchive(ReadableStream.from(entries()).pipeThrough(new Writer({
+    compression: values.compression,
+    comment: values.comment,
+    password: values.password
+  })), target)
+  io.stdout.write(`created ${archive} with ${count} ${count === 1 ? 'entry' : 'entries'}\n`)
+  return EXIT_OK
+}
+
+/**
+ * @param {string[]} args
+ * @param {Object} values
+ * @param {Io} io
+ */
+async function test ([archive], values, io) {
+  const file = await openFile(path.resolve(io.cwd, archive))
+  let failed = 0
+  for await (const entry of read(file, { password: values.password })) {
+    try {
+      // reading it all checks the crc and size
+      await entry.stream().pipeTo(new WritableStream())
+      io.stdout.write(`OK      ${entry.name}\n`)
+    } catch (err) {
+      failed++
+      io.stdout.write(`FAILED  ${entry.name}: ${err.message}\n`)
+    }
+  }
+  if (failed) {
+    io.stderr.write(`zip-go: ${failed} corrupt ${failed === 1 ? 'entry' : 'entries'}\n`)
+    return EXIT_INTEGRITY
+  }
+  return EXIT_OK
+}
+
+/**
+ * @param {string[]} args
+ * @param {Object} values
+ * @param {Io} io
+ */
+async function comment ([archive, text], values, io) {
+  const target = path.resolve(io.cwd, archive)
+  const file = await openFile(target)
+
+  if (text === undefined) {
+    const comment = await readComment(file)
+    if (comment) io.stdout.write(comment + '\n')
+    return EXIT_OK
+  }
+
+  // the new archive is read from the old one, so it can't be written in place
+  const temp = `${target}.${randomUUID()}.tmp`
+  await writeArchive(new Editor(file, { comment: text }).stream(), temp)
+  await fs.rename(temp, target)
+  return EXIT_OK
+}
+
+/** every command takes the archive as its first argument */
+const COMMANDS = {
+  list,
+  extract: extractCommand,
+  create,
+  test,
+  comment
+}
+
+/**
+ * Runs the command line tool
+ *
+ * @param {string[]} argv arguments, without the node and script paths
+ * @param {Partial<Io>} [io] where output goes, defaults to the process'
+ * @returns {Promise<number>} exit code
+ */
+async function main (argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = io
+
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  } catch (err) {
+    stderr.write(`zip-go: ${err.message}\n\n${USAGE}\n`)
+    return EXIT_USAGE
+  }
+
+  const [name, ...args] = parsed.positionals
+  if (parsed.values.help) {
+    stdout.write(USAGE + '\n')
+    return EXIT_OK
+  }
+
+  // not something like `constructor` from Object.prototype
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : undefined
+  if (!command || !args.length) {
+    const problem = !name ? 'no command given' : command ? `${name} needs an archive` : `unknown command ${name}`
+    stderr.write(`zip-go: ${problem}\n\n${USAGE}\n`)
+    return EXIT_USAGE
+  }
+
+  try {
+    return await command(args, parsed.values, { stdout, stderr, cwd })
+  } catch (err) {
+    stderr.write(`zip-go: ${err.message}\n`)
+    if (err instanceof UsageError) return EXIT_USAGE
+    return err instanceof ZipIntegrityError ? EXIT_INTEGRITY : EXIT_ERROR
+  }
+}
+
+export { main }
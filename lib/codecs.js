@@ -0,0 +1,108 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// Compression codecs, keyed by the method id stored in the archive
+import { UnsupportedCompressionMethodError } from './errors.js'
+import inflate64 from './inflate64.js'
+
+/**
+ * @typedef {Object} Codec
+ * @property {string} name what the `compression` option of the `Writer`
+ *   calls it
+ * @property {() => TransformStream<Uint8Array, Uint8Array>} [decoder]
+ *   decompresses the raw data of an entry
+ * @property {() => TransformStream<Uint8Array, Uint8Array>} [encoder]
+ *   compresses the content of an entry
+ * @property {number} [versionNeeded=20] version needed to extract, like 46
+ *   for bzip2 and 63 for LZMA, zstd and xz
+ */
+
+/** @type {Map<number, Codec>} */
+const codecs = new Map()
+
+/**
+ * Registers a codec for a compression method, replacing the one it had.
+ * Method 99 belongs to WinZip AES, the actual method of such entries is
+ * looked up instead.
+ *
+ * @example
+ * registerCodec(93, {
+ *   name: 'zstd',
+ *   decoder: () => new ZstdDecompressionStream(),
+ *   encoder: () => new ZstdCompressionStream()
+ * })
+ *
+ * @param {number} method
+ * @param {Codec} codec
+ */
+function registerCodec (method, codec) {
+  if (!Number.isInteger(method) || method < 0 || method > 0xffff || method === 99) {
+    throw new RangeError(`Invalid compression method: ${method}`)
+  }
+  if (typeof codec?.name !== 'string') {
+    throw new TypeError('A codec needs a name')
+  }
+  codecs.set(method, codec)
+}
+
+/**
+ * @param {number} method
+ * @param {string} [entry] name of the entry, for the error
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+function decompressor (method, entry) {
+  const codec = codecs.get(method)
+  if (!codec?.decoder) {
+    throw new UnsupportedCompressionMethodError(
+      `Can't decompress ${entry ?? 'entry'}, compression method ${method} ${codec ? `(${codec.name}) ` : ''}is not supported`,
+      { entry, method }
+    )
+  }
+  return codec.decoder()
+}
+
+/**
+ * @param {number} method
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+function compressor (method) {
+  return codecs.get(method).encoder()
+}
+
+/**
+ * Looks up the method of a codec that can compress, by its name
+ *
+ * @param {string} compression
+ */
+function compressionMethod (compression) {
+  for (const [method, codec] of codecs) {
+    if (codec.name === compression && (method === 0 || codec.encoder)) return method
+  }
+  throw new TypeError(`Unknown compression: ${compression}`)
+}
+
+/**
+ * @param {number} method
+ */
+function versionNeeded (method) {
+  return Math.max(codecs.get(method)?.versionNeeded ?? 20, 20)
+}
+
+// stored entries are passed through as they are
+registerCodec(0, {
+  name: 'store',
+  decoder: () => new TransformStream(),
+  encoder: () => new TransformStream()
+})
+
+registerCodec(8, {
+  name: 'deflate',
+  decoder: () => new DecompressionStream('deflate-raw'),
+  encoder: () => new CompressionStream('deflate-raw')
+})
+
+// only decompression, it's what Windows Explorer uses for large files
+registerCodec(9, {
+  name: 'deflate64',
+  decoder: inflate64
+})
+
+export { compressionMethod, compressor, decompressor, registerCodec, versionNeeded }
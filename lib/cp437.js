@@ -0,0 +1,40 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// IBM Code Page 437, what names and comments are in when bit 11 is clear.
+// TextDecoder doesn't know it. The lower half is ASCII.
+
+const HIGH_HALF =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+  'áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+  '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+  'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0'
+
+/** @type {Map<string, number>} */
+const BYTES = new Map([...HIGH_HALF].map((char, i) => [char, 0x80 + i]))
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function decodeCp437 (bytes) {
+  let text = ''
+  for (const byte of bytes) {
+    text += byte < 0x80 ? String.fromCharCode(byte) : HIGH_HALF[byte - 0x80]
+  }
+  return text
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array | undefined} undefined if some character isn't in CP437
+ */
+function encodeCp437 (text) {
+  const bytes = []
+  for (const char of text) {
+    const code = char.charCodeAt(0)
+    const byte = code < 0x80 ? code : BYTES.get(char)
+    if (byte === undefined) return
+    bytes.push(byte)
+  }
+  return new Uint8Array(bytes)
+}
+
+export { decodeCp437, encodeCp437 }
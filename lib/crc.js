@@ -1,3 +1,40 @@
+const POLYNOMIAL = 0xedb88320
+
+// slice-by-8: table k holds the crc of a byte followed by k zero bytes, so
+// eight bytes can be looked up at once
+const TABLES = new Int32Array(256 * 8)
+
+for (let i = 0; i < 256; i++) {
+  let t = i
+  for (let j = 0; j < 8; j++) {
+    t = t & 1 ? (t >>> 1) ^ POLYNOMIAL : t >>> 1
+  }
+  TABLES[i] = t
+}
+for (let i = 256; i < TABLES.length; i++) {
+  const previous = TABLES[i - 256]
+  TABLES[i] = (previous >>> 8) ^ TABLES[previous & 0xff]
+}
+
+/**
+ * Multiplies two polynomials modulo the crc polynomial
+ *
+ * @param {number} a
+ * @param {number} b
+ */
+function multiplyModP (a, b) {
+  let product = 0
+  for (let m = 0x80000000; m; m >>>= 1) {
+    if (a & m) product ^= b
+    b = b & 1 ? (b >>> 1) ^ POLYNOMIAL : b >>> 1
+  }
+  return product >>> 0
+}
+
+// x^(2^n) modulo the crc polynomial, x^1 being 1 << 30
+const X2N = [0x40000000]
+for (let n = 1; n < 64; n++) X2N[n] = multiplyModP(X2N[n - 1], X2N[n - 1])
+
 class Crc32 {
   constructor () {
     this.crc = -1
@@ -5,9 +42,23 @@ class Crc32 {
 
   append (data) {
     let crc = this.crc | 0
-    const { table } = this
-    for (let offset = 0, len = data.length | 0; offset < len; offset++) {
-      crc = (crc >>> 8) ^ table[(crc ^ data[offset]) & 0xff]
+    const len = data.length | 0
+    let offset = 0
+
+    for (const end = len - 8; offset <= end; offset += 8) {
+      crc ^= data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)
+      crc = TABLES[1792 + (crc & 0xff)] ^
+        TABLES[1536 + ((crc >>> 8) & 0xff)] ^
+        TABLES[1280 + ((crc >>> 16) & 0xff)] ^
+        TABLES[1024 + (crc >>> 24)] ^
+        TABLES[768 + data[offset + 4]] ^
+        TABLES[512 + data[offset + 5]] ^
+        TABLES[256 + data[offset + 6]] ^
+        TABLES[data[offset + 7]]
+    }
+
+    for (; offset < len; offset++) {
+      crc = (crc >>> 8) ^ TABLES[(crc ^ data[offset]) & 0xff]
     }
     this.crc = crc
   }
@@ -15,17 +66,28 @@ class Crc32 {
   get () {
     return (this.crc ^ -1) >>> 0
   }
-}
 
-Crc32.prototype.table = ((table, i, j, t) => {
-  for (i = 0; i < 256; i++) {
-    t = i
-    for (j = 0; j < 8; j++) {
-      t = t & 1 ? (t >>> 1) ^ 0xedb88320 : t >>> 1
+  /**
+   * The crc of two pieces of data one after the other, from the crc of each
+   * and the length of the second. Lets pieces be checksummed in parallel.
+   *
+   * @param {number} crcA
+   * @param {number} crcB
+   * @param {number | bigint} lenB
+   */
+  static combine (crcA, crcB, lenB) {
+    // crcA gets multiplied by x^(8 * lenB), built up from x^0 one bit of
+    // lenB at a time, starting at x^8 for a single byte
+    let n = Number(lenB)
+    let shift = 0x80000000
+    for (let k = 3; n; k++) {
+      if (n % 2) shift = multiplyModP(X2N[k], shift)
+      n = Math.floor(n / 2)
     }
-    table[i] = t
+    return (multiplyModP(shift, crcA) ^ crcB) >>> 0
   }
-  return table
-})([], 0, 0, 0)
+}
+
+Crc32.prototype.table = TABLES.subarray(0, 256)
 
 export default Crc32
@@ -0,0 +1,195 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+import { openArchive } from './read.js'
+import Writer from './write.js'
+
+/**
+ * @param {Map<string, Object>} entries
+ * @param {string} name directories can be given without the trailing slash
+ * @returns {string} the name the entry is stored under
+ */
+function resolve (entries, name) {
+  if (entries.has(name)) return name
+  if (entries.has(name + '/')) return name + '/'
+  throw new Error(`No entry named ${name}`)
+}
+
+/**
+ * @param {Map<string, Object>} entries
+ * @param {string} name as returned by `resolve()`
+ * @returns {string[]} the name, and for a directory everything in it
+ */
+function inside (entries, name) {
+  if (!name.endsWith('/')) return [name]
+  return [...entries.keys()].filter(key => key.startsWith(name))
+}
+
+/**
+ * Applies changes to an entry. Entries read from the archive have setters,
+ * anything else that was added (like a File) is turned into a descriptor.
+ *
+ * @param {Object} entry
+ * @param {Object} changes
+ */
+function update (entry, changes) {
+  if (typeof entry.rawBytes === 'function') return Object.assign(entry, changes)
+
+  return {
+    ...entry,
+    name: entry.name,
+    directory: entry.directory,
+    lastModified: entry.lastModified,
+    comment: entry.comment,
+    stream: entry.stream && (() => entry.stream()),
+    ...changes
+  }
+}
+
+/**
+ * Edits an existing archive without extracting it. Changes are recorded and
+ * applied in order when the new archive is streamed out, untouched entries
+ * are copied as they are without being decompressed.
+ *
+ * @example
+ * const stream = new Editor(blob)
+ *   .delete('old.txt')
+ *   .rename('a.txt', 'docs/a.txt')
+ *   .add(new File(['hi'], 'b.txt'))
+ *   .stream()
+ */
+class Editor {
+  #file
+  #options
+  /** @type {Array<(entries: Map<string, Object>) => void>} */
+  #changes = []
+
+  /** @type {string | undefined} new archive comment, keeps the old one if unset */
+  comment
+
+  /**
+   * @param {Blob} file the archive to edit
+   * @param {Object} [options] passed on to `read()` and the `Writer`, which
+   *   only affects entries that are added
+   * @param {string} [options.comment] new archive comment, defaults to the
+   *   comment of the archive being edited
+   */
+  constructor (file, options = {}) {
+    this.#file = file
+    this.#options = options
+    this.comment = options.comment
+  }
+
+  /**
+   * Deletes an entry, a directory goes with everything in it
+   *
+   * @param {string} name
+   */
+  delete (name) {
+    this.#changes.push(entries => {
+      for (const found of inside(entries, resolve(entries, name))) entries.delete(found)
+    })
+    return this
+  }
+
+  /**
+   * Renames or moves an entry, it keeps its place in the archive. A directory
+   * takes everything in it along.
+   *
+   * @param {string} from
+   * @param {string} to
+   */
+  rename (from, to) {
+    this.#changes.push(entries => {
+      const source = resolve(entries, from)
+      const target = source.endsWith('/') && !to.endsWith('/') ? to + '/' : to
+      if (source === target) return
+
+      /** @type {Map<string, string>} old names to new ones */
+      const renames = new Map()
+      for (const name of inside(entries, source)) {
+        renames.set(name, target + name.slice(source.length))
+      }
+      for (const name of renames.values()) {
+        if (entries.has(name) && !renames.has(name)) throw new Error(`Entry ${name} already exists`)
+      }
+
+      // rebuild the map to keep the order of the entries
+      const all = [...entries].map(([name, e]) => renames.has(name)
+        ? [renames.get(name), update(e, { name: renames.get(name) })]
+        : [name, e])
+      entries.clear()
+      for (const [name, e] of all) entries.set(name, e)
+    })
+    return this
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} comment
+   */
+  setComment (name, comment) {
+    this.#changes.push(entries => {
+      name = resolve(entries, name)
+      entries.set(name, update(entries.get(name), { comment }))
+    })
+    return this
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} lastModified timestamp in ms
+   */
+  setLastModified (name, lastModified) {
+    this.#changes.push(entries => {
+      name = resolve(entries, name)
+      const entry = entries.get(name)
+      if (entry.encryption === 'zipcrypto' && entry.bitFlag & 0x0008) {
+        // the password check byte is taken from the dos time
+        throw new Error(`Can't change the timestamp of the ZipCrypto entry ${name}`)
+      }
+      entries.set(name, update(entry, { lastModified }))
+    })
+    return this
+  }
+
+  /**
+   * Adds an entry, anything the `Writer` accepts. An existing entry with the
+   * same name is replaced in place.
+   *
+   * @param {Object} entry
+   */
+  add (entry) {
+    this.#changes.push(entries => {
+      let { name } = entry
+      if (entry.directory && !name.endsWith('/')) name += '/'
+      entries.set(name, entry)
+    })
+    return this
+  }
+
+  /**
+   * @returns {ReadableStream<Uint8Array>} the edited archive
+   */
+  stream () {
+    const { readable, writable } = new TransformStream()
+
+    openArchive(this.#file, this.#options).then(archive => {
+      /** @type {Map<string, Object>} */
+      const entries = new Map()
+      for (const entry of archive) entries.set(entry.name, entry)
+
+      for (const change of this.#changes) change(entries)
+
+      return ReadableStream.from(entries.values())
+        .pipeThrough(new Writer({
+          ...this.#options,
+          // the old comment is kept as it's stored, whatever charset it's in
+          comment: this.comment ?? archive.rawComment
+        }))
+        .pipeTo(writable)
+    }).catch(err => writable.abort(err).catch(() => {}))
+
+    return readable
+  }
+}
+
+export default Editor
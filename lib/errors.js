@@ -0,0 +1,108 @@
+/**
+ * Thrown when the data extracted from an entry doesn't match the CRC-32 or
+ * the uncompressed size recorded in the archive
+ */
+class ZipIntegrityError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.entry] name of the offending entry
+   * @param {number} [details.expected]
+   * @param {number} [details.actual]
+   */
+  constructor (message, details = {}) {
+    super(message)
+    this.name = 'ZipIntegrityError'
+    this.code = 'ERR_ZIP_INTEGRITY'
+    this.entry = details.entry
+    this.expected = details.expected
+    this.actual = details.actual
+  }
+}
+
+/**
+ * Thrown when an encrypted entry is read without a password, or with the
+ * wrong one
+ */
+class ZipPasswordError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.entry] name of the encrypted entry
+   */
+  constructor (message, details = {}) {
+    super(message)
+    this.name = 'ZipPasswordError'
+    this.code = 'ERR_ZIP_PASSWORD'
+    this.entry = details.entry
+  }
+}
+
+/**
+ * Thrown when extracting an entry whose name, or symlink target, would end up
+ * outside of the destination directory (zip slip)
+ */
+class ZipPathError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.entry] name of the offending entry
+   */
+  constructor (message, details = {}) {
+    super(message)
+    this.name = 'ZipPathError'
+    this.code = 'ERR_ZIP_PATH'
+    this.entry = details.entry
+  }
+}
+
+/**
+ * Thrown when an archive goes over one of the `limits` given to `read()`
+ */
+class ZipLimitError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.entry] name of the offending entry
+   * @param {string} [details.limit] name of the limit, like `maxEntrySize`
+   * @param {number} [details.max] the configured limit
+   * @param {number} [details.actual] the value that went over it
+   */
+  constructor (message, details = {}) {
+    super(message)
+    this.name = 'ZipLimitError'
+    this.code = 'ERR_ZIP_LIMIT'
+    this.entry = details.entry
+    this.limit = details.limit
+    this.max = details.max
+    this.actual = details.actual
+  }
+}
+
+/**
+ * Thrown when reading an entry compressed with a method that has no codec,
+ * see `registerCodec()` in lib/codecs.js
+ */
+class UnsupportedCompressionMethodError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.entry] name of the entry
+   * @param {number} [details.method] its compression method
+   */
+  constructor (message, details = {}) {
+    super(message)
+    this.name = 'UnsupportedCompressionMethodError'
+    this.code = 'ERR_ZIP_UNSUPPORTED_METHOD'
+    this.entry = details.entry
+    this.method = details.method
+  }
+}
+
+export {
+  UnsupportedCompressionMethodError,
+  ZipIntegrityError,
+  ZipLimitError,
+  ZipPasswordError,
+  ZipPathError
+}
@@ -0,0 +1,193 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// Extracting archives to the filesystem, for Node.js only
+import fs from 'node:fs/promises'
+import { createWriteStream } from 'node:fs'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import read from './read.js'
+import { matcher } from './glob.js'
+import { ZipPathError } from './errors.js'
+
+/**
+ * @typedef {Object} ExtractedEntry
+ * @property {string} name entry name
+ * @property {string} path where it's extracted to
+ * @property {'file' | 'directory' | 'symlink'} type
+ * @property {number} size uncompressed size
+ * @property {boolean} skipped true if it already existed and was kept
+ */
+
+/**
+ * @param {string} dest absolute destination directory
+ * @param {string} target absolute path
+ */
+function isInside (dest, target) {
+  const relative = path.relative(dest, target)
+  return relative !== '..' &&
+    !relative.startsWith('..' + path.sep) &&
+    !path.isAbsolute(relative)
+}
+
+/**
+ * Resolves an entry name to a path inside of dest
+ *
+ * @param {string} dest absolute destination directory
+ * @param {string} name
+ * @returns {string | undefined} undefined for names that are the destination
+ *   itself, like `./`
+ */
+function resolveEntryPath (dest, name) {
+  const normalized = path.posix.normalize(name.replaceAll('\\', '/'))
+  if (
+    path.posix.isAbsolute(normalized) ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized === '..' ||
+    normalized.startsWith('../')
+  ) {
+    throw new ZipPathError(`Entry ${name} would be extracted outside of the destination`, { entry: name })
+  }
+
+  const target = path.resolve(dest, ...normalized.split('/').filter(Boolean))
+  if (target === dest) return
+  if (!isInside(dest, target)) {
+    throw new ZipPathError(`Entry ${name} would be extracted outside of the destination`, { entry: name })
+  }
+  return target
+}
+
+/**
+ * Rejects targets with a symlink on the way to them from dest. The names are
+ * checked on their own, but a symlink extracted earlier (like `a -> .` and
+ * then `a/b -> ..`) could still lead writes out of the destination.
+ *
+ * @param {string} dest absolute destination directory
+ * @param {string} target absolute path inside of dest
+ * @param {string} name entry name
+ */
+async function assertNoSymlinks (dest, target, name) {
+  let current = dest
+  for (const part of path.relative(dest, target).split(path.sep).filter(Boolean)) {
+    current = path.join(current, part)
+    const stats = await fs.lstat(current).catch(() => undefined)
+    // nothing further down exists yet
+    if (!stats) return
+    if (stats.isSymbolicLink()) {
+      throw new ZipPathError(`Entry ${name} would be extracted through the symlink ${current}`, { entry: name })
+    }
+  }
+}
+
+/**
+ * @param {string} target
+ */
+async function exists (target) {
+  return fs.lstat(target).then(() => true, () => false)
+}
+
+/**
+ * Extracts an archive into a directory. Entry names are normalized and the
+ * ones that would end up outside of the destination are rejected with a
+ * `ZipPathError`, as are symlinks pointing outside of it and entries that
+ * would be written through a symlink.
+ *
+ * @param {Blob} file
+ * @param {string} destDir
+ * @param {Object} [options] also passed on to `read()`
+ * @param {'error' | 'skip' | 'overwrite'} [options.overwrite='error'] what to
+ *   do with files that already exist
+ * @param {string | RegExp | ((entry: import('./read.js').Entry) => boolean)} [options.filter]
+ *   only extract the entries matching this glob, RegExp or predicate
+ * @param {boolean} [options.dryRun=false] only list what would be extracted
+ * @returns {Promise<ExtractedEntry[]>}
+ */
+async function extract (file, destDir, options = {}) {
+  const { overwrite = 'error', dryRun = false } = options
+  if (!['error', 'skip', 'overwrite'].includes(overwrite)) {
+    throw new TypeError(`Unknown overwrite policy: ${overwrite}`)
+  }
+  const filter = options.filter === undefined ? () => true : matcher(options.filter)
+  const dest = path.resolve(destDir)
+  /** @type {ExtractedEntry[]} */
+  const extracted = []
+  // directory times and modes are set last, writing into them changes the
+  // mtime and a read only mode would stop us from writing
+  const directories = []
+
+  if (!dryRun) await fs.mkdir(dest, { recursive: true })
+
+  for await (const entry of read(file, options)) {
+    if (!filter(entry)) continue
+
+    const target = resolveEntryPath(dest, entry.name)
+    if (!target) continue
+
+    const type = entry.directory ? 'directory' : entry.isSymlink ? 'symlink' : 'file'
+    const linkTarget = type === 'symlink' ? await entry.linkTarget(options) : undefined
+    if (
+      linkTarget !== undefined &&
+      (path.isAbsolute(linkTarget) || !isInside(dest, path.resolve(path.dirname(target), linkTarget)))
+    ) {
+      throw new ZipPathError(`Symlink ${entry.name} points outside of the destination`, { entry: entry.name })
+    }
+
+    // the target itself may be replaced, unless it's a directory we'd write in
+    await assertNoSymlinks(dest, type === 'directory' ? target : path.dirname(target), entry.name)
+
+    const result = { name: entry.name, path: target, type, size: entry.size, skipped: false }
+    extracted.push(result)
+    if (dryRun) continue
+
+    if (type === 'directory') {
+      await fs.mkdir(target, { recursive: true })
+      directories.push([target, entry])
+      continue
+    }
+
+    await fs.mkdir(path.dirname(target), { recursive: true })
+
+    if (await exists(target)) {
+      if (overwrite === 'skip') {
+        result.skipped = true
+        continue
+      }
+      if (overwrite === 'overwrite') {
+        // remove it rather than write through it, it could be a symlink.
+        // directories are left alone, and fail below
+        await fs.rm(target)
+      }
+    }
+
+    if (type === 'symlink') {
+      await fs.symlink(linkTarget, target)
+    } else {
+      const output = createWriteStream(target, { flags: 'wx' })
+      try {
+        // 'wx' fails if it exists, for the 'error' policy
+        await pipeline(Readable.fromWeb(entry.stream(options)), output)
+      } catch (err) {
+        // half a file is worse than none, but one that was already there
+        // (and made 'wx' fail) isn't ours to remove
+        if (err.code !== 'EEXIST') await fs.rm(target, { force: true })
+        throw err
+      }
+      if (entry.mode !== undefined) await fs.chmod(target, entry.mode & 0o777)
+    }
+
+    const mtime = new Date(entry.lastModified)
+    const atime = new Date(entry.lastAccessed ?? entry.lastModified)
+    await (type === 'symlink' ? fs.lutimes : fs.utimes)(target, atime, mtime)
+  }
+
+  // deepest first, so setting a parent's mtime is the last thing done in it
+  directories.sort(([a], [b]) => b.length - a.length)
+  for (const [target, entry] of directories) {
+    if (entry.mode !== undefined) await fs.chmod(target, entry.mode & 0o777)
+    const mtime = new Date(entry.lastModified)
+    await fs.utimes(target, new Date(entry.lastAccessed ?? entry.lastModified), mtime)
+  }
+
+  return extracted
+}
+
+export default extract
@@ -0,0 +1,82 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// Glob patterns for matching entry names
+
+/** @param {string} c */
+const escape = c => c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+
+/**
+ * Converts a glob to a RegExp that matches whole entry names.
+ *
+ * - `*` matches anything but a slash
+ * - `**` matches any number of directories when it's a path segment of its own
+ * - `?` matches a single character but a slash
+ * - `[abc]`, `[a-z]` and `[!abc]` match a character from (or not from) a set
+ * - `{a,b}` matches either of the alternatives
+ * - `\` escapes the next character
+ *
+ * @param {string} glob
+ */
+function globToRegExp (glob) {
+  let re = ''
+  let braces = 0
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i]
+
+    if (c === '*') {
+      const segmentStart = i === 0 || glob[i - 1] === '/'
+      if (glob[i + 1] === '*' && segmentStart && glob[i + 2] === '/') {
+        re += '(?:.*/)?'
+        i += 2
+      } else if (glob[i + 1] === '*' && segmentStart && i + 2 === glob.length) {
+        re += '.*'
+        i += 1
+      } else {
+        re += '[^/]*'
+        while (glob[i + 1] === '*') i++
+      }
+    } else if (c === '?') {
+      re += '[^/]'
+    } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2)
+      let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+      if (set[0] === '!') set = '^' + set.slice(1)
+      re += `[${set}]`
+      i = end
+    } else if (c === '{') {
+      re += '(?:'
+      braces++
+    } else if (c === ',' && braces) {
+      re += '|'
+    } else if (c === '}' && braces) {
+      re += ')'
+      braces--
+    } else if (c === '\\' && i + 1 < glob.length) {
+      re += escape(glob[++i])
+    } else {
+      re += escape(c)
+    }
+  }
+
+  if (braces) throw new SyntaxError(`Unbalanced braces in glob: ${glob}`)
+
+  return new RegExp(`^${re}$`)
+}
+
+/**
+ * Turns a glob, RegExp or predicate into a function that tests entries by
+ * their name
+ *
+ * @param {string | RegExp | ((entry: { name: string }) => boolean)} pattern
+ * @returns {(entry: { name: string }) => boolean}
+ */
+function matcher (pattern) {
+  if (typeof pattern === 'function') return pattern
+  const re = typeof pattern === 'string' ? globToRegExp(pattern) : pattern
+  if (!(re instanceof RegExp)) {
+    throw new TypeError('pattern must be a glob, a RegExp or a function')
+  }
+  return entry => re.test(entry.name)
+}
+
+export { globToRegExp, matcher }
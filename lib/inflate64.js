@@ -0,0 +1,362 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// Streaming Deflate64 (compression method 9) decompression. It's deflate with
+// a 64 KiB window, a 16 bit extra length for code 285 and two more distance
+// codes. Browsers and Node only have plain deflate.
+
+const WINDOW_SIZE = 65536
+const WINDOW_MASK = WINDOW_SIZE - 1
+const OUTPUT_SIZE = 65536
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 3
+]
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 16
+]
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577, 32769, 49153
+]
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13, 14, 14
+]
+// order the code length code lengths are stored in
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+
+// thrown to rewind to the last checkpoint until more input arrives
+const NEED_INPUT = Symbol('need input')
+
+const HEADER = 0
+const STORED = 1
+const CODES = 2
+const DONE = 3
+
+/**
+ * @typedef {Object} HuffmanTable
+ * @property {Int32Array} table indexed by the next `bits` bits of input,
+ *   holding `symbol << 4 | code length`
+ * @property {number} bits length of the longest code
+ */
+
+/**
+ * Builds a lookup table for canonical huffman codes
+ *
+ * @param {ArrayLike<number>} lengths code length of each symbol, 0 if unused
+ * @returns {HuffmanTable}
+ */
+function huffmanTable (lengths) {
+  const count = new Uint16Array(16)
+  for (const length of lengths) count[length]++
+  count[0] = 0
+
+  let bits = 0
+  for (let length = 1; length < 16; length++) if (count[length]) bits = length
+
+  const next = new Uint16Array(16)
+  let code = 0
+  for (let length = 1; length < 16; length++) {
+    code = (code + count[length - 1]) << 1
+    next[length] = code
+  }
+
+  const table = new Int32Array(1 << bits).fill(-1)
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol]
+    if (!length) continue
+    const code = next[length]++
+    if (code >= 1 << length) throw new Error('Invalid deflate64 data: over-subscribed code lengths')
+    // codes are packed starting with their most significant bit
+    let reversed = 0
+    for (let i = 0; i < length; i++) reversed |= ((code >> i) & 1) << (length - 1 - i)
+    for (let i = reversed; i < table.length; i += 1 << length) {
+      table[i] = (symbol << 4) | length
+    }
+  }
+  return { table, bits }
+}
+
+const FIXED_LITERALS = huffmanTable([
+  ...Array(144).fill(8), ...Array(112).fill(9), ...Array(24).fill(7), ...Array(8).fill(8)
+])
+const FIXED_DISTANCES = huffmanTable(Array(32).fill(5))
+
+/**
+ * Inflates Deflate64 data. Input can be split anywhere, what can't be
+ * decoded yet is kept until the next chunk.
+ */
+class Inflate64 {
+  #input = new Uint8Array(0)
+  #pos = 0
+  #bitBuffer = 0
+  #bitCount = 0
+
+  #window = new Uint8Array(WINDOW_SIZE)
+  /** total number of bytes written */
+  #written = 0
+  #output = new Uint8Array(OUTPUT_SIZE)
+  #outputLength = 0
+
+  #state = HEADER
+  #final = false
+  /** bytes left of a stored block */
+  #remaining = 0
+  /** @type {HuffmanTable} */
+  #literals = FIXED_LITERALS
+  /** @type {HuffmanTable} */
+  #distances = FIXED_DISTANCES
+
+  /**
+   * @param {Uint8Array} chunk
+   * @param {(chunk: Uint8Array) => void} emit
+   */
+  push (chunk, emit) {
+    const rest = this.#input.subarray(this.#pos)
+    if (rest.length) {
+      const input = new Uint8Array(rest.length + chunk.length)
+      input.set(rest)
+      input.set(chunk, rest.length)
+      this.#input = input
+    } else {
+      this.#input = chunk
+    }
+    this.#pos = 0
+
+    while (this.#state !== DONE) {
+      const pos = this.#pos
+      const bitBuffer = this.#bitBuffer
+      const bitCount = this.#bitCount
+      try {
+        this.#step(emit)
+      } catch (err) {
+        if (err !== NEED_INPUT) throw err
+        this.#pos = pos
+        this.#bitBuffer = bitBuffer
+        this.#bitCount = bitCount
+        break
+      }
+    }
+    this.#flush(emit)
+  }
+
+  /**
+   * @param {(chunk: Uint8Array) => void} emit
+   */
+  end (emit) {
+    if (this.#state !== DONE) throw new Error('Unexpected end of deflate64 data')
+    this.#flush(emit)
+  }
+
+  /**
+   * Decodes a block header, a literal or match, or a piece of a stored block.
+   * Nothing is written before all the input it needs is there, steps that
+   * run out of input throw `NEED_INPUT` to be retried.
+   *
+   * @param {(chunk: Uint8Array) => void} emit
+   */
+  #step (emit) {
+    if (this.#state === HEADER) {
+      this.#header()
+    } else if (this.#state === STORED) {
+      this.#stored(emit)
+    } else {
+      this.#symbol(emit)
+    }
+  }
+
+  #header () {
+    this.#final = this.#bits(1) === 1
+    const type = this.#bits(2)
+
+    if (type === 0) {
+      // stored blocks start at a byte boundary
+      this.#bits(this.#bitCount & 7)
+      const length = this.#bits(16)
+      if ((this.#bits(16) ^ 0xffff) !== length) {
+        throw new Error('Invalid deflate64 data: stored block length mismatch')
+      }
+      this.#remaining = length
+      this.#state = length ? STORED : this.#endOfBlock()
+    } else if (type === 1) {
+      this.#literals = FIXED_LITERALS
+      this.#distances = FIXED_DISTANCES
+      this.#state = CODES
+    } else if (type === 2) {
+      this.#dynamicTables()
+      this.#state = CODES
+    } else {
+      throw new Error('Invalid deflate64 data: unknown block type')
+    }
+  }
+
+  #dynamicTables () {
+    const literalCount = this.#bits(5) + 257
+    const distanceCount = this.#bits(5) + 1
+    const codeLengthCount = this.#bits(4) + 4
+
+    const codeLengths = new Uint8Array(19)
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengths[CODE_LENGTH_ORDER[i]] = this.#bits(3)
+    }
+    const codeLengthTable = huffmanTable(codeLengths)
+
+    const lengths = new Uint8Array(literalCount + distanceCount)
+    for (let i = 0; i < lengths.length;) {
+      const symbol = this.#decode(codeLengthTable)
+      if (symbol < 16) {
+        lengths[i++] = symbol
+        continue
+      }
+      let repeat
+      let value = 0
+      if (symbol === 16) {
+        if (i === 0) throw new Error('Invalid deflate64 data: nothing to repeat')
+        value = lengths[i - 1]
+        repeat = 3 + this.#bits(2)
+      } else if (symbol === 17) {
+        repeat = 3 + this.#bits(3)
+      } else {
+        repeat = 11 + this.#bits(7)
+      }
+      if (i + repeat > lengths.length) throw new Error('Invalid deflate64 data: too many code lengths')
+      lengths.fill(value, i, i + repeat)
+      i += repeat
+    }
+
+    if (!lengths[256]) throw new Error('Invalid deflate64 data: no end of block code')
+    this.#literals = huffmanTable(lengths.subarray(0, literalCount))
+    this.#distances = huffmanTable(lengths.subarray(literalCount))
+  }
+
+  /**
+   * @param {(chunk: Uint8Array) => void} emit
+   */
+  #stored (emit) {
+    if (!this.#bitCount && this.#pos === this.#input.length) throw NEED_INPUT
+
+    // whole bytes can be left in the bit buffer
+    while (this.#bitCount && this.#remaining) {
+      this.#write(this.#bits(8), emit)
+      this.#remaining--
+    }
+    const available = Math.min(this.#remaining, this.#input.length - this.#pos)
+    for (let i = 0; i < available; i++) this.#write(this.#input[this.#pos++], emit)
+    this.#remaining -= available
+    if (!this.#remaining) this.#state = this.#endOfBlock()
+  }
+
+  /**
+   * @param {(chunk: Uint8Array) => void} emit
+   */
+  #symbol (emit) {
+    const symbol = this.#decode(this.#literals)
+    if (symbol < 256) {
+      this.#write(symbol, emit)
+      return
+    }
+    if (symbol === 256) {
+      this.#state = this.#endOfBlock()
+      return
+    }
+
+    const lengthCode = symbol - 257
+    if (lengthCode >= LENGTH_BASE.length) throw new Error('Invalid deflate64 data: bad length code')
+    const length = LENGTH_BASE[lengthCode] + this.#bits(LENGTH_EXTRA[lengthCode])
+
+    const distanceCode = this.#decode(this.#distances)
+    const distance = DISTANCE_BASE[distanceCode] + this.#bits(DISTANCE_EXTRA[distanceCode])
+    if (distance > this.#written) throw new Error('Invalid deflate64 data: distance too far back')
+
+    // byte by byte, the match can overlap what it writes
+    for (let i = 0; i < length; i++) {
+      this.#write(this.#window[(this.#written - distance) & WINDOW_MASK], emit)
+    }
+  }
+
+  #endOfBlock () {
+    return this.#final ? DONE : HEADER
+  }
+
+  /**
+   * @param {number} byte
+   * @param {(chunk: Uint8Array) => void} emit
+   */
+  #write (byte, emit) {
+    this.#window[this.#written & WINDOW_MASK] = byte
+    this.#written++
+    this.#output[this.#outputLength++] = byte
+    if (this.#outputLength === OUTPUT_SIZE) this.#flush(emit)
+  }
+
+  /**
+   * @param {(chunk: Uint8Array) => void} emit
+   */
+  #flush (emit) {
+    if (!this.#outputLength) return
+    emit(this.#output.slice(0, this.#outputLength))
+    this.#outputLength = 0
+  }
+
+  #fill () {
+    while (this.#bitCount <= 24 && this.#pos < this.#input.length) {
+      this.#bitBuffer |= this.#input[this.#pos++] << this.#bitCount
+      this.#bitCount += 8
+    }
+  }
+
+  /**
+   * @param {number} n at most 16
+   */
+  #bits (n) {
+    if (this.#bitCount < n) {
+      this.#fill()
+      if (this.#bitCount < n) throw NEED_INPUT
+    }
+    const value = this.#bitBuffer & ((1 << n) - 1)
+    this.#bitBuffer >>>= n
+    this.#bitCount -= n
+    return value
+  }
+
+  /**
+   * @param {HuffmanTable} huffman
+   */
+  #decode ({ table, bits }) {
+    if (this.#bitCount < bits) this.#fill()
+    const entry = table[this.#bitBuffer & ((1 << bits) - 1)]
+    const length = entry & 15
+    if (entry === -1 || length > this.#bitCount) {
+      // near the end of the input a short code can be complete without
+      // there being enough bits for the longest one
+      if (this.#pos < this.#input.length || this.#bitCount >= bits) {
+        throw new Error('Invalid deflate64 data: bad huffman code')
+      }
+      throw NEED_INPUT
+    }
+    this.#bitBuffer >>>= length
+    this.#bitCount -= length
+    return entry >> 4
+  }
+}
+
+/**
+ * A `TransformStream` that inflates Deflate64 data, like
+ * `DecompressionStream('deflate-raw')` does for deflate
+ *
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+function inflate64 () {
+  const inflater = new Inflate64()
+  return new TransformStream({
+    transform (chunk, ctrl) {
+      inflater.push(chunk, bytes => ctrl.enqueue(bytes))
+    },
+    flush (ctrl) {
+      inflater.end(bytes => ctrl.enqueue(bytes))
+    }
+  })
+}
+
+export default inflate64
@@ -1,2 +1,13 @@
 export { default as read } from './read.js'
-export { default as Writer } from './write.js'
+export { default as Writer, predictSize, sliceArchive } from './write.js'
+export {
+  UnsupportedCompressionMethodError,
+  ZipIntegrityError,
+  ZipLimitError,
+  ZipPasswordError,
+  ZipPathError
+} from './errors.js'
+export { default as readStream } from './read-stream.js'
+export { default as Editor } from './edit.js'
+export { openArchive, readComment } from './read.js'
+export { registerCodec } from './codecs.js'
@@ -0,0 +1,245 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// A Blob like object backed by HTTP Range requests, to read remote archives
+// without downloading them
+
+const decoder = new TextDecoder()
+
+/**
+ * Fetches byte ranges of a url. Small reads are rounded out to whole blocks,
+ * so reads close to each other (like the headers the reader looks at) end up
+ * in the same request, and the blocks are kept in a small LRU cache. Larger
+ * reads fetch exactly what is asked for.
+ */
+class RangeSource {
+  /** @type {Map<number, Promise<Uint8Array>>} blocks, in LRU order */
+  #blocks = new Map()
+
+  /**
+   * @param {string | URL} url
+   * @param {Object} options
+   * @param {typeof fetch} options.fetch
+   * @param {HeadersInit} [options.headers]
+   * @param {number} options.size total size of the resource
+   * @param {number} options.blockSize
+   * @param {number} options.cacheBlocks
+   */
+  constructor (url, options) {
+    this.url = url
+    this.size = options.size
+    this.fetch = options.fetch
+    this.headers = options.headers
+    this.blockSize = options.blockSize
+    this.cacheBlocks = options.cacheBlocks
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end exclusive
+   * @returns {Promise<Uint8Array>}
+   */
+  async fetchRange (start, end) {
+    const headers = new Headers(this.headers)
+    headers.set('Range', `bytes=${start}-${end - 1}`)
+    const res = await this.fetch(this.url, { headers })
+
+    if (res.status !== 206) {
+      await res.body?.cancel()
+      throw new Error(`Expected a partial response for bytes ${start}-${end - 1} of ${this.url}, got ${res.status}`)
+    }
+
+    const bytes = await res.bytes()
+    if (bytes.byteLength !== end - start) {
+      throw new Error(`Expected ${end - start} bytes from ${this.url}, got ${bytes.byteLength}`)
+    }
+    return bytes
+  }
+
+  /**
+   * @param {number} index
+   */
+  #block (index) {
+    let block = this.#blocks.get(index)
+    if (block) {
+      // move it to the end, as the most recently used
+      this.#blocks.delete(index)
+    } else {
+      const start = index * this.blockSize
+      block = this.fetchRange(start, Math.min(start + this.blockSize, this.size))
+      // don't cache failures
+      block.catch(() => this.#blocks.delete(index))
+    }
+    this.#blocks.set(index, block)
+
+    for (const key of this.#blocks.keys()) {
+      if (this.#blocks.size <= this.cacheBlocks) break
+      this.#blocks.delete(key)
+    }
+    return block
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end exclusive
+   * @returns {Promise<Uint8Array>}
+   */
+  async read (start, end) {
+    if (start >= end) return new Uint8Array(0)
+
+    const first = Math.floor(start / this.blockSize)
+    const last = Math.floor((end - 1) / this.blockSize)
+    if (!this.cacheBlocks || last - first > 1) return this.fetchRange(start, end)
+
+    const blocks = await Promise.all(
+      Array.from({ length: last - first + 1 }, (_, i) => this.#block(first + i))
+    )
+    const bytes = new Uint8Array(end - start)
+    let offset = 0
+    for (const [i, block] of blocks.entries()) {
+      const blockStart = (first + i) * this.blockSize
+      const part = block.subarray(
+        Math.max(start - blockStart, 0),
+        Math.min(end - blockStart, block.length)
+      )
+      bytes.set(part, offset)
+      offset += part.length
+    }
+    return bytes
+  }
+}
+
+/**
+ * A lazy, read only, Blob like slice of a remote resource. It has what the
+ * reader needs: `size`, `slice()`, `bytes()`, `arrayBuffer()`, `text()` and
+ * `stream()`.
+ */
+class RangeBlob {
+  #source
+  #start
+  #end
+
+  /**
+   * @param {RangeSource} source
+   * @param {number} start
+   * @param {number} end
+   * @param {string} [type]
+   */
+  constructor (source, start, end, type = '') {
+    this.#source = source
+    this.#start = start
+    this.#end = end
+    this.type = type
+  }
+
+  get size () {
+    return this.#end - this.#start
+  }
+
+  /**
+   * Same semantics as `Blob#slice`, negative positions count from the end
+   *
+   * @param {number} [start]
+   * @param {number} [end]
+   * @param {string} [type]
+   */
+  slice (start = 0, end = this.size, type = '') {
+    const size = this.size
+    const relative = n => n < 0 ? Math.max(size + n, 0) : Math.min(n, size)
+    const from = relative(start)
+    const to = Math.max(relative(end), from)
+    return new RangeBlob(this.#source, this.#start + from, this.#start + to, type)
+  }
+
+  /** @returns {Promise<Uint8Array>} */
+  bytes () {
+    return this.#source.read(this.#start, this.#end)
+  }
+
+  async arrayBuffer () {
+    const bytes = await this.bytes()
+    return bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+      ? bytes.buffer
+      : bytes.slice().buffer
+  }
+
+  async text () {
+    return decoder.decode(await this.bytes())
+  }
+
+  /**
+   * Fetches the range in chunks, as they are read. Small ranges come from the
+   * block cache like any other read.
+   *
+   * @param {number} [chunkSize=1048576]
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  stream (chunkSize = 1024 * 1024) {
+    let position = this.#start
+    const end = this.#end
+    return new ReadableStream({
+      pull: async ctrl => {
+        if (position >= end) return ctrl.close()
+        const to = Math.min(position + chunkSize, end)
+        ctrl.enqueue(await this.#source.read(position, to))
+        position = to
+        if (position >= end) ctrl.close()
+      }
+    })
+  }
+}
+
+/**
+ * Learns the size of a remote resource with a HEAD request, or a suffix Range
+ * request if HEAD doesn't tell
+ *
+ * @param {string | URL} url
+ * @param {typeof fetch} fetch
+ * @param {HeadersInit} [headers]
+ */
+async function remoteSize (url, fetch, headers) {
+  const head = await fetch(url, { method: 'HEAD', headers })
+  const length = head.headers.get('Content-Length')
+  if (head.ok && head.headers.get('Accept-Ranges') === 'bytes' && length !== null) {
+    return Number(length)
+  }
+
+  const suffix = new Headers(headers)
+  suffix.set('Range', 'bytes=-1')
+  const res = await fetch(url, { headers: suffix })
+  await res.body?.cancel()
+  // Content-Range: bytes 1023-1023/1024
+  const total = res.status === 206 && res.headers.get('Content-Range')?.split('/')[1]
+  if (!total || total === '*') {
+    throw new Error(`${url} doesn't support range requests`)
+  }
+  return Number(total)
+}
+
+/**
+ * Opens a remote file as a `RangeBlob`, that can be given to `read()` or
+ * `openArchive()` to list and extract entries without downloading it all
+ *
+ * @param {string | URL} url
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch=globalThis.fetch]
+ * @param {HeadersInit} [options.headers] sent with every request
+ * @param {number} [options.size] skips the request that finds out the size
+ * @param {number} [options.blockSize=65536] small reads are fetched as whole
+ *   blocks of this size
+ * @param {number} [options.cacheBlocks=32] number of blocks to keep around, 0
+ *   fetches every read as is
+ * @returns {Promise<RangeBlob>}
+ */
+async function fromURL (url, options = {}) {
+  const fetch = options.fetch ?? globalThis.fetch
+  const size = options.size ?? await remoteSize(url, fetch, options.headers)
+  const source = new RangeSource(url, {
+    fetch,
+    headers: options.headers,
+    size,
+    blockSize: options.blockSize ?? 64 * 1024,
+    cacheBlocks: options.cacheBlocks ?? 32
+  })
+  return new RangeBlob(source, 0, size)
+}
+
+export { RangeBlob, fromURL }
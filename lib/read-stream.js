@@ -0,0 +1,513 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+import { decompressor } from './codecs.js'
+import {
+  decodeText,
+  decryptor,
+  fromDosDateTime,
+  parseAesExtraField,
+  parseTimestamps,
+  unicodePath,
+  verifier
+} from './utils.js'
+
+const ERR_UNEXPECTED_END = 'Unexpected end of zip stream.'
+const ERR_BAD_FORMAT = 'File format is not recognized.'
+const MAX_VALUE_32BITS = 0xffffffff
+const LOCAL_FILE_HEADER = 0x04034b50
+const DATA_DESCRIPTOR = 0x08074b50
+// what can follow the last entry: the central directory, or the end of
+// central directory record (zip64 or not) of an archive without entries
+const END_SIGNATURES = [0x02014b50, 0x06054b50, 0x06064b50]
+
+/**
+ * Buffers a ReadableStream of bytes so it can be consumed a few bytes at a
+ * time (headers) as well as chunk by chunk (file data).
+ */
+class ByteSource {
+  #reader
+  #buffer = new Uint8Array(0)
+  #done = false
+
+  /** @param {ReadableStream<Uint8Array>} readable */
+  constructor (readable) {
+    this.#reader = readable.getReader()
+  }
+
+  async #pull () {
+    if (this.#done) return false
+    const { done, value } = await this.#reader.read()
+    if (done) {
+      this.#done = true
+      return false
+    }
+    if (this.#buffer.byteLength) {
+      const buffer = new Uint8Array(this.#buffer.byteLength + value.byteLength)
+      buffer.set(this.#buffer)
+      buffer.set(value, this.#buffer.byteLength)
+      this.#buffer = buffer
+    } else {
+      this.#buffer = value
+    }
+    return true
+  }
+
+  /**
+   * Buffer at least `length` bytes
+   *
+   * @param {number} length
+   * @returns {Promise<boolean>} false if the stream ended before that
+   */
+  async ensure (length) {
+    while (this.#buffer.byteLength < length) {
+      if (!(await this.#pull())) return false
+    }
+    return true
+  }
+
+  /** @param {number} length */
+  async read (length) {
+    if (!(await this.ensure(length))) throw new Error(ERR_UNEXPECTED_END)
+    return this.#consume(length)
+  }
+
+  /** @param {number} length */
+  peek (length) {
+    return this.#buffer.subarray(0, length)
+  }
+
+  /** @param {number} length */
+  #consume (length) {
+    const chunk = this.#buffer.subarray(0, length)
+    this.#buffer = this.#buffer.subarray(length)
+    return chunk
+  }
+
+  /**
+   * Yields exactly `length` bytes
+   *
+   * @param {number} length
+   */
+  async * take (length) {
+    while (length > 0) {
+      if (!this.#buffer.byteLength && !(await this.#pull())) {
+        throw new Error(ERR_UNEXPECTED_END)
+      }
+      const chunk = this.#consume(Math.min(length, this.#buffer.byteLength))
+      length -= chunk.byteLength
+      yield chunk
+    }
+  }
+
+  /**
+   * Yields bytes up until a data descriptor whose compressed size matches the
+   * number of bytes that came before it, then consumes the descriptor.
+   *
+   * @param {boolean} zip64 whether the descriptor holds 8 byte sizes
+   * @returns {AsyncGenerator<Uint8Array, DataView>}
+   */
+  async * takeUntilDescriptor (zip64) {
+    const descriptorLength = zip64 ? 24 : 16
+    let length = 0
+
+    while (true) {
+      const buffer = this.#buffer
+      const dv = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      // position of a signature we can't rule out until more data arrives
+      let pending = -1
+
+      for (let i = 0; i + 4 <= buffer.byteLength; i++) {
+        if (dv.getUint32(i, true) !== DATA_DESCRIPTOR) continue
+        if (i + descriptorLength > buffer.byteLength) {
+          pending = i
+          break
+        }
+
+        const compressedSize = zip64
+          ? Number(dv.getBigUint64(i + 8, true))
+          : dv.getUint32(i + 8, true)
+
+        if (compressedSize === length + i) {
+          if (i) yield this.#consume(i)
+          const descriptor = this.#consume(descriptorLength)
+          return new DataView(descriptor.buffer, descriptor.byteOffset, descriptorLength)
+        }
+      }
+
+      // everything before a pending signature, or the last 3 bytes that
+      // could be the start of one, is file data
+      const safe = pending === -1 ? Math.max(0, buffer.byteLength - 3) : pending
+      if (safe) {
+        length += safe
+        yield this.#consume(safe)
+      }
+
+      if (!(await this.#pull())) throw new Error(ERR_UNEXPECTED_END)
+    }
+  }
+
+  cancel () {
+    return this.#reader.cancel()
+  }
+}
+
+/**
+ * An entry read from the local file header while streaming. When the entry
+ * uses a data descriptor (bit 3) the `crc32`, `size` and `compressedSize`
+ * are 0 until its data has been read.
+ */
+class StreamEntry {
+  #dataView
+  #rawName
+  #name
+  #options
+  /** @type {AsyncGenerator<Uint8Array>} */
+  #body
+  #used = false
+  #skipped = false
+  #aes
+  /** @type {import('./utils.js').Timestamps} */
+  #times
+  type = ''
+
+  /**
+   * @param {DataView} dataView local file header, without the signature
+   * @param {Uint8Array} name raw file name
+   * @param {Object<string, DataView>} extraFields
+   * @param {(entry: StreamEntry) => AsyncGenerator<Uint8Array>} body
+   * @param {Object} options same options as `readStream()`
+   */
+  constructor (dataView, name, extraFields, body, options) {
+    this.#dataView = dataView
+    this.#rawName = name
+    // utf-8 when bit 11 is set, like `Entry#name`
+    this.#name = (dataView.getUint16(2, true) & 0x0800)
+      ? decodeText(name, true)
+      : unicodePath(extraFields[0x7075], name) ?? decodeText(name, false, options.encoding)
+    this.#options = options
+    this.#body = body(this)
+
+    if (this.compressionMethod === 99) {
+      this.#aes = parseAesExtraField(extraFields[0x9901])
+    }
+    this.#times = parseTimestamps(extraFields)
+
+    const zip64 = extraFields[1]
+    this.zip64 = !!zip64
+    this.crc32 = dataView.getUint32(10, true)
+    this.compressedSize = dataView.getUint32(14, true)
+    this.size = dataView.getUint32(18, true)
+
+    // The local header carries both sizes in the ZIP64 field, APPNOTE 4.5.3
+    if (zip64 && zip64.byteLength >= 16) {
+      if (this.size === MAX_VALUE_32BITS) {
+        this.size = Number(zip64.getBigUint64(0, true))
+      }
+      if (this.compressedSize === MAX_VALUE_32BITS) {
+        this.compressedSize = Number(zip64.getBigUint64(8, true))
+      }
+    }
+  }
+
+  get versionNeeded () {
+    return this.#dataView.getUint16(0, true)
+  }
+
+  get bitFlag () {
+    return this.#dataView.getUint16(2, true)
+  }
+
+  get encrypted () {
+    return (this.bitFlag & 0x0001) === 0x0001
+  }
+
+  get dataDescriptor () {
+    return (this.bitFlag & 0x0008) === 0x0008
+  }
+
+  /**
+   * 'zipcrypto' or 'aes128', 'aes192', 'aes256' for encrypted entries
+   */
+  get encryption () {
+    if (!this.encrypted) return
+    return this.#aes ? `aes${64 + this.#aes.strength * 64}` : 'zipcrypto'
+  }
+
+  /**
+   * 99 for WinZip AES encrypted entries, whose actual method is found in the
+   * AES extra field
+   */
+  get compressionMethod () {
+    return this.#dataView.getUint16(4, true)
+  }
+
+  /**
+   * Taken from the NTFS or extended timestamp extra field when there is one
+   */
+  get lastModified () {
+    return this.#times.lastModified ??
+      fromDosDateTime(this.#dataView.getUint32(6, true))
+  }
+
+  /**
+   * @returns {number | undefined}
+   */
+  get lastAccessed () {
+    return this.#times.lastAccessed
+  }
+
+  /**
+   * @returns {number | undefined}
+   */
+  get created () {
+    return this.#times.created
+  }
+
+  get name () {
+    return this.#name
+  }
+
+  /**
+   * The file name as it's stored
+   */
+  get rawName () {
+    return this.#rawName.slice()
+  }
+
+  get directory () {
+    return this.#name.endsWith('/')
+  }
+
+  /**
+   * Update the values that are only known once the data has been read
+   *
+   * @param {DataView} dv data descriptor, signature included
+   */
+  setDescriptor (dv) {
+    this.crc32 = dv.getUint32(4, true)
+    if (dv.byteLength === 24) {
+      this.compressedSize = Number(dv.getBigUint64(8, true))
+      this.size = Number(dv.getBigUint64(16, true))
+    } else {
+      this.compressedSize = dv.getUint32(8, true)
+      this.size = dv.getUint32(12, true)
+    }
+  }
+
+  /**
+   * Skip whatever is left of the data, called before moving on to the next
+   * entry
+   */
+  async skip () {
+    this.#skipped = true
+    this.#used = true
+    while (!(await this.#body.next()).done);
+  }
+
+  /**
+   * The raw (compressed) data, can only be read once
+   */
+  rawStream () {
+    if (this.#used) {
+      throw new TypeError(`The data of ${this.name} has already been read`)
+    }
+    this.#used = true
+
+    return new ReadableStream({
+      pull: async ctrl => {
+        if (this.#skipped) {
+          throw new Error(`Moved on to the next entry before ${this.name} was read`)
+        }
+        const { done, value } = await this.#body.next()
+        if (done) ctrl.close()
+        else ctrl.enqueue(value)
+      }
+    })
+  }
+
+  /**
+   * The decompressed data, can only be read once, and has to be read before
+   * moving on to the next entry
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.verify] check the data against the entry's
+   *   crc32 and size, defaults to the `verify` option given to `readStream()`
+   * @param {string | Uint8Array} [options.password] password of an encrypted
+   *   entry, defaults to the `password` option given to `readStream()`
+   */
+  stream (options = {}) {
+    const verify = options.verify ?? this.#options.verify ?? true
+    const password = options.password ?? this.#options.password
+    // before touching the data, so a missing password doesn't consume it
+    const decrypt = this.encrypted &&
+      decryptor(this, password, this.#dataView.getUint16(6, true), this.#aes)
+    const method = this.#aes ? this.#aes.method : this.compressionMethod
+    const decompress = method && decompressor(method, this.name)
+    let stream = this.rawStream()
+
+    if (decrypt) {
+      stream = stream.pipeThrough(decrypt)
+    }
+
+    if (decompress) {
+      stream = stream.pipeThrough(decompress)
+    }
+
+    if (verify) {
+      stream = stream.pipeThrough(verifier(this, {
+        // sizes are only known up front when the local header carries them
+        sizeKnown: !this.dataDescriptor || this.compressedSize > 0,
+        // AE-2 leaves the crc out, the authentication code covers it
+        crc: this.#aes?.version !== 2
+      }))
+    }
+
+    return stream
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   * @param {string | Uint8Array} [options.password]
+   */
+  async bytes (options) {
+    const chunks = []
+    let length = 0
+    for await (const chunk of this.stream(options)) {
+      chunks.push(chunk)
+      length += chunk.byteLength
+    }
+
+    const out = new Uint8Array(length)
+    let offset = 0
+    for (const chunk of chunks) {
+      out.set(chunk, offset)
+      offset += chunk.byteLength
+    }
+    return out
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   * @param {string | Uint8Array} [options.password]
+   */
+  async arrayBuffer (options) {
+    return (await this.bytes(options)).buffer
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   * @param {string | Uint8Array} [options.password]
+   */
+  async text (options) {
+    let text = ''
+    const decoder = new TextDecoderStream()
+    for await (const chunk of this.stream(options).pipeThrough(decoder)) {
+      text += chunk
+    }
+    return text
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   * @param {string | Uint8Array} [options.password]
+   */
+  async file (options) {
+    /** @type {Blob[]} */
+    const blobParts = []
+    for await (const chunk of this.stream(options)) {
+      blobParts.push(new Blob([chunk]))
+    }
+    return new File(blobParts, this.name, { lastModified: this.lastModified })
+  }
+}
+
+/**
+ * @param {ByteSource} source
+ * @param {StreamEntry} entry
+ */
+async function * entryBody (source, entry) {
+  if (!entry.dataDescriptor) {
+    yield * source.take(entry.compressedSize)
+    return
+  }
+
+  if (entry.compressedSize) {
+    // Sizes are known even though there is a descriptor after the data,
+    // whose signature is optional
+    yield * source.take(entry.compressedSize)
+    const signature = await source.ensure(4) &&
+      new DataView(source.peek(4).slice().buffer).getUint32(0, true)
+    const length = (entry.zip64 ? 20 : 12) + (signature === DATA_DESCRIPTOR ? 4 : 0)
+    const bytes = await source.read(length)
+    const descriptor = new Uint8Array(entry.zip64 ? 24 : 16)
+    descriptor.set(bytes, descriptor.length - length)
+    entry.setDescriptor(new DataView(descriptor.buffer))
+    return
+  }
+
+  // No sizes at all, the only way to find the end is to look for the
+  // descriptor that follows the data
+  const descriptor = yield * source.takeUntilDescriptor(entry.zip64)
+  entry.setDescriptor(descriptor)
+}
+
+/**
+ * Reads a zip archive front to back from a stream, without needing random
+ * access. Entries are yielded as soon as their local header arrives, and
+ * their data has to be read before moving on to the next one, anything left
+ * unread is skipped.
+ *
+ * @param {ReadableStream<Uint8Array>} readable
+ * @param {Object} [options]
+ * @param {boolean} [options.verify=true] check extracted entries against
+ *   their crc32 and size
+ * @param {string | Uint8Array} [options.password] used to decrypt encrypted
+ *   entries
+ * @param {string} [options.encoding='cp437'] charset of the names and
+ *   comments that aren't flagged as utf-8, any label TextDecoder knows
+ * @returns {AsyncGenerator<StreamEntry>}
+ */
+async function * StreamReader (readable, options = {}) {
+  const source = new ByteSource(readable)
+
+  try {
+    while (true) {
+      if (!(await source.ensure(4))) throw new Error(ERR_UNEXPECTED_END)
+      const signature = new DataView(source.peek(4).slice().buffer).getUint32(0, true)
+      // everything we need is in the local headers, the central directory
+      // after them can be left unread
+      if (END_SIGNATURES.includes(signature)) break
+      if (signature !== LOCAL_FILE_HEADER) throw new Error(ERR_BAD_FORMAT)
+
+      const header = (await source.read(30)).slice(4)
+      const dv = new DataView(header.buffer)
+      const name = (await source.read(dv.getUint16(22, true))).slice()
+      const extra = (await source.read(dv.getUint16(24, true))).slice()
+
+      /** @type {Object<string, DataView>} */
+      const extraFields = {}
+      for (let i = 0; i + 4 <= extra.byteLength;) {
+        const id = extra[i] | (extra[i + 1] << 8)
+        const len = extra[i + 2] | (extra[i + 3] << 8)
+        extraFields[id] = new DataView(extra.buffer, i + 4, Math.min(len, extra.byteLength - i - 4))
+        i += len + 4
+      }
+
+      const entry = new StreamEntry(
+        dv, name, extraFields, entry => entryBody(source, entry), options
+      )
+
+      yield entry
+
+      await entry.skip()
+    }
+  } finally {
+    await source.cancel()
+  }
+}
+
+export default StreamReader
+export { StreamEntry }
@@ -1,21 +1,49 @@
 /*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+import Crc32 from './crc.js'
+import { ZipIntegrityError } from './errors.js'
+import { decompressor } from './codecs.js'
+import {
+  Limiter,
+  assertIntegrity,
+  decodeText,
+  decryptor,
+  fromDosDateTime,
+  parseAesExtraField,
+  parseTimestamps,
+  setLastModified,
+  toDosDateTime,
+  unicodePath,
+  verifier
+} from './utils.js'
+import { matcher } from './glob.js'
 
 const ERR_BAD_FORMAT = 'File format is not recognized.'
 const ZIP_COMMENT_MAX = 65536
 const EOCDR_MIN = 22
 const EOCDR_MAX = EOCDR_MIN + ZIP_COMMENT_MAX
 const MAX_VALUE_32BITS = 0xffffffff
+const UNIX_HOST = 3
+const S_IFMT = 0o170000
+const S_IFLNK = 0o120000
 
-const decoder = new TextDecoder()
 const uint16e = (b, n) => b[n] | (b[n + 1] << 8)
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true })
 
-const GZIP_HEADER = Uint8Array.from([
-  31, 139, // gzip magic
-  8, // deflate
-  0, // no extra fields
-  0, 0, 0, 0, // mtime (n/a)
-  0, 0, // extra flags, OS
-])
+/**
+ * The archive comment has no flag saying it's utf-8 like names do, but the
+ * Writer and most tools today write it so. Bytes that aren't valid utf-8 are
+ * decoded like names without bit 11.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} [encoding] same as the `encoding` option of `read()`
+ */
+function decodeComment (bytes, encoding) {
+  try {
+    return utf8Decoder.decode(bytes)
+  } catch {
+    return decodeText(bytes, false, encoding)
+  }
+}
 
 /**
  * @extends {File}
@@ -23,18 +51,23 @@ const GZIP_HEADER = Uint8Array.from([
 class Entry {
   #dataView
   #fileLike
+  #options
   /** @type {Object<string, DataView>} */
   #extraFields = {}
   #name
+  #comment
   /** @type {number} */
   #localFileOffset
+  /** @type {{ size?: number, compressedSize?: number, offset?: number, diskNumberStart?: number }} */
+  #zip64
   type = ''
 
   /**
    * @param {DataView} dataView
    * @param {File} fileLike
+   * @param {Object} [options] same options as `read()`
    */
-  constructor (dataView, fileLike) {
+  constructor (dataView, fileLike, options = {}) {
     if (dataView.getUint32(0) !== 0x504b0102) {
       throw new Error('ERR_BAD_FORMAT')
     }
@@ -43,8 +76,10 @@ class Entry {
 
     this.#dataView = dv
     this.#fileLike = fileLike
+    this.#options = options
 
-    for (let i = 46 + this.filenameLength; i < dv.byteLength;) {
+    const extraEnd = 46 + this.filenameLength + this.extraFieldLength
+    for (let i = 46 + this.filenameLength; i + 4 <= extraEnd;) {
       const id = dv.getUint16(i, true)
       const len = dv.getUint16(i + 2, true)
       const start = dv.byteOffset + i + 4
@@ -69,16 +104,35 @@ class Entry {
     return (this.bitFlag & 0x0001) === 0x0001
   }
 
+  /**
+   * 'zipcrypto' or 'aes128', 'aes192', 'aes256' for encrypted entries
+   */
+  get encryption () {
+    if (!this.encrypted) return
+    const aes = this.#aes
+    return aes ? `aes${64 + aes.strength * 64}` : 'zipcrypto'
+  }
+
+  /**
+   * 99 for WinZip AES encrypted entries, whose actual method is found in the
+   * AES extra field
+   */
   get compressionMethod () {
     return this.#dataView.getUint16(10, true)
   }
 
+  get #aes () {
+    return this.compressionMethod === 99
+      ? parseAesExtraField(this.#extraFields[0x9901])
+      : undefined
+  }
+
   get crc32 () {
     return this.#dataView.getUint32(16, true)
   }
 
   get compressedSize () {
-    return this.#dataView.getUint32(20, true)
+    return this.#zip64Fields.compressedSize ?? this.#dataView.getUint32(20, true)
   }
 
   get filenameLength () {
@@ -89,12 +143,31 @@ class Entry {
     return this.#dataView.getUint16(30, true)
   }
 
+  /**
+   * The extra fields of the central directory header, as raw bytes
+   */
+  get extraField () {
+    const fields = Object.entries(this.#extraFields)
+    const bytes = new Uint8Array(
+      fields.reduce((length, [, dv]) => length + 4 + dv.byteLength, 0)
+    )
+    const dv = new DataView(bytes.buffer)
+    let i = 0
+    for (const [id, field] of fields) {
+      dv.setUint16(i, Number(id), true)
+      dv.setUint16(i + 2, field.byteLength, true)
+      bytes.set(new Uint8Array(field.buffer, field.byteOffset, field.byteLength), i + 4)
+      i += 4 + field.byteLength
+    }
+    return bytes
+  }
+
   get commentLength () {
     return this.#dataView.getUint16(32, true)
   }
 
   get diskNumberStart () {
-    return this.#dataView.getUint16(34, true)
+    return this.#zip64Fields.diskNumberStart ?? this.#dataView.getUint16(34, true)
   }
 
   get internalFileAttributes () {
@@ -105,69 +178,167 @@ class Entry {
     return this.#dataView.getUint32(38, true)
   }
 
+  /**
+   * Unix mode with the file type bits, like `fs.Stats#mode`. Only known when
+   * the archive was made on a unix host.
+   *
+   * @returns {number | undefined}
+   */
+  get mode () {
+    const mode = this.externalFileAttributes >>> 16
+    return this.versionMadeBy >> 8 === UNIX_HOST && mode ? mode : undefined
+  }
+
+  get isSymlink () {
+    return ((this.mode ?? 0) & S_IFMT) === S_IFLNK
+  }
+
+  get isExecutable () {
+    return !!((this.mode ?? 0) & 0o111)
+  }
+
+  /**
+   * The path a symlink points to, which is stored as its content
+   *
+   * @param {Object} [options] same options as `text()`
+   * @returns {Promise<string | undefined>}
+   */
+  async linkTarget (options) {
+    if (this.isSymlink) return this.text(options)
+  }
+
   get directory () {
     return !!(this.#dataView.getUint8(38) & 16) ||
       (this.size === 0 && this.name.endsWith('/'))
   }
 
   get offset () {
-    return this.#dataView.getUint32(42, true)
+    return this.#zip64Fields.offset ?? this.#dataView.getUint32(42, true)
   }
 
   get zip64 () {
-    return this.#dataView.getUint32(24, true) === MAX_VALUE_32BITS
+    return Object.keys(this.#zip64Fields).length > 0
+  }
+
+  /**
+   * Decodes the ZIP64 extended information extra field (0x0001).
+   *
+   * A value is only present in the field when its counterpart in the central
+   * directory header is saturated (0xffffffff, or 0xffff for the disk number)
+   * and they always appear in this order, see APPNOTE 4.5.3.
+   */
+  get #zip64Fields () {
+    if (this.#zip64) return this.#zip64
+
+    const dv = this.#dataView
+    const field = this.#extraFields[1]
+    const zip64 = {}
+    let i = 0
+
+    const read = (name, saturated, byteLength) => {
+      if (!saturated || !field || i + byteLength > field.byteLength) return
+      zip64[name] = byteLength === 8
+        ? Number(field.getBigUint64(i, true))
+        : field.getUint32(i, true)
+      i += byteLength
+    }
+
+    read('size', dv.getUint32(24, true) === MAX_VALUE_32BITS, 8)
+    read('compressedSize', dv.getUint32(20, true) === MAX_VALUE_32BITS, 8)
+    read('offset', dv.getUint32(42, true) === MAX_VALUE_32BITS, 8)
+    read('diskNumberStart', dv.getUint16(34, true) === 0xffff, 4)
+
+    return this.#zip64 = zip64
   }
 
   get comment () {
+    if (this.#comment !== undefined) return this.#comment
+
     const dv = this.#dataView
     const uint8 = new Uint8Array(
       dv.buffer,
       dv.byteOffset + this.filenameLength + this.extraFieldLength + 46,
       this.commentLength
     )
-    return decoder.decode(uint8)
+    return this.#comment = decodeText(uint8, this.#utf8, this.#options.encoding)
   }
 
-  get lastModified () {
-    const t = this.#dataView.getUint32(12, true)
+  /** @param {string} v */
+  set comment (v) {
+    if (typeof v !== 'string') throw new TypeError('comment must be a string')
+    this.#comment = v
+  }
 
-    return new Date(
-      ((t >> 25) & 0x7f) + 1980, // year
-      ((t >> 21) & 0x0f) - 1, // month
-      (t >> 16) & 0x1f, // day
-      (t >> 11) & 0x1f, // hour
-      (t >> 5) & 0x3f, // minute
-      (t & 0x1f) << 1 // second
-    ).getTime()
+  /**
+   * Taken from the NTFS or extended timestamp extra field when there is one,
+   * those are in UTC and more precise than the local dos time
+   */
+  get lastModified () {
+    return parseTimestamps(this.#extraFields).lastModified ??
+      fromDosDateTime(this.#dataView.getUint32(12, true))
   }
 
   /** @param {number} v timestamp in ms */
   set lastModified (v) {
     if (typeof v !== 'number') throw new TypeError('lastModified must be a number')
-    const date = new Date(v)
-    const val = ((date.getFullYear() - 1980) << 25) |
-      ((date.getMonth() + 1) << 21) |
-      (date.getDate() << 16) |
-      (date.getHours() << 11) |
-      (date.getMinutes() << 5) |
-      (date.getSeconds() >> 1)
-    this.#dataView.setUint32(12, val, true)
+    this.#dataView.setUint32(12, toDosDateTime(new Date(v)), true)
+    setLastModified(this.#extraFields, v)
+  }
+
+  /**
+   * The dos date and time field as it's stored, in the local time of whoever
+   * zipped it. Setting `lastModified` updates it.
+   */
+  get dosDateTime () {
+    return this.#dataView.getUint32(12, true)
+  }
+
+  /**
+   * Only known when there is a NTFS extra field, or an extended timestamp
+   * that has it
+   *
+   * @returns {number | undefined}
+   */
+  get lastAccessed () {
+    return parseTimestamps(this.#extraFields).lastAccessed
+  }
+
+  /**
+   * @returns {number | undefined}
+   */
+  get created () {
+    return parseTimestamps(this.#extraFields).created
+  }
+
+  /**
+   * Whether the name and comment are utf-8 (bit 11), or in a legacy charset
+   */
+  get #utf8 () {
+    return (this.bitFlag & 0x0800) === 0x0800
+  }
+
+  /**
+   * The file name as it's stored, for names in a charset that wasn't known
+   * when reading
+   */
+  get rawName () {
+    const dv = this.#dataView
+    return new Uint8Array(dv.buffer.slice(dv.byteOffset + 46, dv.byteOffset + 46 + this.filenameLength))
   }
 
+  /**
+   * Decoded as utf-8 when bit 11 is set, otherwise with the `encoding` option
+   * given to `read()` which defaults to CP437. An Info-ZIP unicode path extra
+   * field takes precedence over the latter.
+   */
   get name () {
     if (this.#name !== undefined) return this.#name
 
-    if (!this.bitFlag && this.#extraFields[0x7075]) {
-      return this.#name = decoder.decode(this.#extraFields[0x7075].buffer.slice(5))
-    }
+    const rawName = this.rawName
+    if (this.#utf8) return this.#name = decodeText(rawName, true)
 
-    const dv = this.#dataView
-    const uint8 = new Uint8Array(
-      dv.buffer,
-      dv.byteOffset + 46,
-      this.filenameLength
-    )
-    return this.#name = decoder.decode(uint8)
+    return this.#name = unicodePath(this.#extraFields[0x7075], rawName) ??
+      decodeText(rawName, false, this.#options.encoding)
   }
 
   /** @param {string} v */
@@ -177,15 +348,18 @@ class Entry {
   }
 
   get size () {
-    const size = this.#dataView.getUint32(24, true)
-    return size === MAX_VALUE_32BITS ? this.#extraFields[1].getUint8(0) : size
+    return this.#zip64Fields.size ?? this.#dataView.getUint32(24, true)
   }
 
+  /** @param {number} size */
   set size (size) {
     // set to zip64 if larger than 4GB
-    if (size > MAX_VALUE_32BITS) {
-      this.#extraFields[1] = new DataView(new ArrayBuffer(1))
-      this.#extraFields[1].setUint8(0, size)
+    if (size >= MAX_VALUE_32BITS) {
+      this.#zip64Fields.size = size
+      this.#dataView.setUint32(24, MAX_VALUE_32BITS, true)
+    } else {
+      delete this.#zip64Fields.size
+      this.#dataView.setUint32(24, size, true)
     }
   }
 
@@ -205,79 +379,146 @@ class Entry {
     return this.#getRawChunk()
   }
 
-  async bytes () {
-    if (!this.compressionMethod) {
-      return this.#getRawChunk().then(c => c.bytes())
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   */
+  #verify (options = {}) {
+    return options.verify ?? this.#options.verify ?? true
+  }
+
+  /**
+   * Whether the raw bytes are the content as is
+   */
+  get #stored () {
+    return !this.compressionMethod && !this.encrypted
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify] check the data against the entry's
+   *   crc32 and size, defaults to the `verify` option given to `read()`
+   * @param {string | Uint8Array} [options.password] password of an encrypted
+   *   entry, defaults to the `password` option given to `read()`
+   */
+  async bytes (options) {
+    const verify = this.#verify(options)
+
+    if (this.#stored) {
+      const bytes = await this.#getRawChunk().then(c => c.bytes())
+      this.#options.limiter?.count(this, bytes.byteLength, bytes.byteLength)
+      if (verify) {
+        const crc = new Crc32()
+        crc.append(bytes)
+        assertIntegrity(crc.get(), bytes.byteLength, this)
+      }
+      return bytes
     }
 
-    // const out = new Uint8Array(this.size)
-    // let offset = 0
-    // for await (const chunk of this.stream()) {
-    //   out.set(chunk, offset)
-    //   offset += chunk.byteLength
-    // }
     const out = new Uint8Array(this.size)
-    const reader = this.stream().getReader({ mode: 'byob' })
-    await reader.read(out, { min: this.size })
-    reader.cancel()
+    let offset = 0
+    for await (const chunk of this.stream({ ...options, verify })) {
+      if (offset + chunk.byteLength > out.byteLength) {
+        // only reachable when not verifying, the verifier errors out first
+        throw new ZipIntegrityError(
+          `Size mismatch in ${this.name}: more data than the expected ${this.size} bytes`,
+          { entry: this.name, expected: this.size }
+        )
+      }
+      out.set(chunk, offset)
+      offset += chunk.byteLength
+    }
 
-    return out
+    return offset === out.byteLength ? out : out.slice(0, offset)
   }
 
-  stream () {
-    const ts = new TransformStream()
-    const crc = this.crc32
-    const uncompressedSize = this.size
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify] check the data against the entry's
+   *   crc32 and size, defaults to the `verify` option given to `read()`
+   * @param {string | Uint8Array} [options.password] password of an encrypted
+   *   entry, defaults to the `password` option given to `read()`
+   */
+  stream (options = {}) {
+    const verify = this.#verify(options)
+    const password = options.password ?? this.#options.password
+    const { readable, writable } = new TransformStream()
+
     this.rawBytes().then(chunk => {
-      const stream = chunk.stream()
-
-      if (this.compressionMethod) {
-        const transformer = new TransformStream({
-          start (controller) {
-            controller.enqueue(GZIP_HEADER)
-          },
-          flush (controller) {
-            const tmp = new DataView(new ArrayBuffer(8))
-            tmp.setUint32(0, crc, true)
-            tmp.setUint32(4, uncompressedSize, true)
-            controller.enqueue(new Uint8Array(tmp.buffer))
-          }
-        })
-
-        stream
-          .pipeThrough(transformer)
-          .pipeThrough(new DecompressionStream('gzip'))
-          .pipeTo(ts.writable)
-      } else {
-        stream.pipeTo(ts.writable)
+      let stream = chunk.stream()
+
+      const aes = this.#aes
+
+      if (this.encrypted) {
+        const dosTime = this.#dataView.getUint16(12, true)
+        stream = stream.pipeThrough(decryptor(this, password, dosTime, aes))
+      }
+
+      const method = aes ? aes.method : this.compressionMethod
+      if (method) {
+        stream = stream.pipeThrough(decompressor(method, this.name))
+      }
+
+      if (this.#options.limiter) {
+        stream = stream.pipeThrough(this.#options.limiter.stream(this))
       }
+
+      if (verify) {
+        // AE-2 leaves the crc out, the authentication code covers it
+        stream = stream.pipeThrough(verifier(this, { crc: aes?.version !== 2 }))
+      }
+
+      return stream.pipeTo(writable)
+    }).catch(err => {
+      // forward the error to the readable side, unless piping already did
+      writable.abort(err).catch(() => {})
     })
 
-    return ts.readable
+    return readable
   }
 
-  async arrayBuffer () {
-    return (await this.bytes()).buffer
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   * @param {string | Uint8Array} [options.password]
+   */
+  async arrayBuffer (options) {
+    const bytes = await this.bytes(options)
+    return bytes.buffer
   }
 
-  async text () {
-    if (!this.compressionMethod) {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   * @param {string | Uint8Array} [options.password]
+   */
+  async text (options) {
+    if (this.#stored && !this.#verify(options)) {
       return this.#getRawChunk().then(c => c.text())
     }
 
     let text = ''
     const decoder = new TextDecoderStream()
-    for await (const chunk of this.stream().pipeThrough(decoder)) {
+    for await (const chunk of this.stream(options).pipeThrough(decoder)) {
       text += chunk
     }
     return text
   }
 
-  async file () {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verify]
+   * @param {string | Uint8Array} [options.password]
+   */
+  async file (options) {
     /** @type {Blob[]} */
     const blobParts = []
 
-    if (!this.compressionMethod && this.#fileLike instanceof Blob) {
+    if (this.#stored && this.#fileLike instanceof Blob) {
+      if (this.#verify(options)) {
+        // read it through once to verify, but still hand out a lazy slice
+        await this.stream(options).pipeTo(new WritableStream())
+      }
       blobParts.push(await this.rawBytes())
     } else {
       // converting each chunk to a blob to avoid large memory consumption when
@@ -288,8 +529,8 @@ class Entry {
       // which can lead to out-of-memory errors for large files. Creating blobs
       // allows the runtime to manage memory more efficiently, as blobs can be
       // offloaded from memory.
-      for await (const chunk of this.stream()) {
-        blobParts.push(new Blob(chunk))
+      for await (const chunk of this.stream(options)) {
+        blobParts.push(new Blob([chunk]))
       }
     }
 
@@ -313,9 +554,20 @@ function getBigInt64 (view, position, littleEndian = false) {
 }
 
 /**
+ * @typedef {Object} CentralDirectory
+ * @property {Uint8Array} bytes all the central directory headers
+ * @property {number} count number of entries
+ * @property {string} comment archive comment
+ * @property {boolean} zip64 whether the archive has a zip64 end of central
+ *   directory record
+ */
+
+/**
+ * Finds the end of central directory record
+ *
  * @param {Blob} file
  */
-async function* Reader (file) {
+async function findEndOfCentralDirectory (file) {
   // Seek EOCDR - "End of central directory record" is the last part of a zip
   // archive, and is at least 22 bytes long. Zip file comment is the last part
   // of EOCDR and has max length of 64KB, so we only have to search the last 64K
@@ -323,9 +575,10 @@ async function* Reader (file) {
   if (file.size < EOCDR_MIN) throw new Error(ERR_BAD_FORMAT)
 
   // seek last length bytes of file for EOCDR
-  async function doSeek (length) {
+  async function doSeek (length, trailing = false) {
     const ab = await file.slice(file.size - length).arrayBuffer()
     const bytes = new Uint8Array(ab)
+    let last = -1
     for (let i = bytes.length - EOCDR_MIN; i >= 0; i--) {
       if (
         bytes[i] === 0x50 &&
@@ -333,38 +586,75 @@ async function* Reader (file) {
         bytes[i + 2] === 0x05 &&
         bytes[i + 3] === 0x06
       ) {
-        return new DataView(bytes.buffer, i, EOCDR_MIN)
+        const end = i + EOCDR_MIN + uint16e(bytes, i + 20)
+        // the comment runs to the end of the file, anything else is a
+        // signature look-alike inside the comment
+        if (end === bytes.length) return found(bytes, i, length)
+        if (last === -1 && end < bytes.length) last = i
       }
     }
 
-    return null
+    // or something was appended to the archive, then the last signature
+    // whose comment fits is the best guess
+    return trailing && last !== -1 ? found(bytes, last, length) : null
+  }
+
+  /**
+   * @param {Uint8Array} bytes the last length bytes of the file
+   * @param {number} i where the EOCDR starts in them
+   * @param {number} length
+   */
+  function found (bytes, i, length) {
+    return {
+      dv: new DataView(bytes.buffer, i, EOCDR_MIN),
+      offset: file.size - length + i,
+      comment: bytes.subarray(i + EOCDR_MIN, i + EOCDR_MIN + uint16e(bytes, i + 20))
+    }
   }
 
   // In most cases, the EOCDR is EOCDR_MIN bytes long
-  let dv =
-    (await doSeek(EOCDR_MIN)) || (await doSeek(Math.min(EOCDR_MAX, file.size)))
+  const eocdr =
+    (await doSeek(EOCDR_MIN)) || (await doSeek(Math.min(EOCDR_MAX, file.size), true))
+
+  if (!eocdr) throw new Error(ERR_BAD_FORMAT)
 
-  if (!dv) throw new Error(ERR_BAD_FORMAT)
+  return eocdr
+}
+
+/**
+ * Finds and reads the central directory of an archive
+ *
+ * @param {Blob} file
+ * @param {Limiter} [limiter]
+ * @returns {Promise<CentralDirectory>}
+ */
+async function readCentralDirectory (file, limiter) {
+  const eocdr = await findEndOfCentralDirectory(file)
 
+  let dv = eocdr.dv
   let fileslength = dv.getUint16(8, true)
   let centralDirSize = dv.getUint32(12, true)
   let centralDirOffset = dv.getUint32(16, true)
-  // const fileCommentLength = dv.getUint16(20, true);
 
-  const isZip64 = centralDirOffset === MAX_VALUE_32BITS
+  // the zip64 end of central directory locator sits right before the EOCDR
+  const locatorOffset = eocdr.offset - 20
+  const locator = locatorOffset >= 0 && (
+    fileslength === 0xffff ||
+    centralDirSize === MAX_VALUE_32BITS ||
+    centralDirOffset === MAX_VALUE_32BITS
+  )
+    ? new DataView(await file.slice(locatorOffset, eocdr.offset).arrayBuffer())
+    : null
+  const isZip64 = locator?.getUint32(0, true) === 0x07064b50
 
   if (isZip64) {
-    const l = -dv.byteLength - 20
-    dv = new DataView(await file.slice(l, -dv.byteLength).arrayBuffer())
-
-    const signature = dv.getUint32(0, true) // 4 bytes
-    const diskWithZip64CentralDirStart = dv.getUint32(4, true) // 4 bytes
+    // const diskWithZip64CentralDirStart = locator.getUint32(4, true)
     const relativeOffsetEndOfZip64CentralDir = Number(
-      getBigInt64(dv, 8, true)
+      getBigInt64(locator, 8, true)
     ) // 8 bytes
-    const numberOfDisks = dv.getUint32(16, true) // 4 bytes
+    // const numberOfDisks = locator.getUint32(16, true)
 
-    const zip64centralBlob = file.slice(relativeOffsetEndOfZip64CentralDir, l)
+    const zip64centralBlob = file.slice(relativeOffsetEndOfZip64CentralDir, locatorOffset)
     dv = new DataView(await zip64centralBlob.arrayBuffer())
     // const zip64EndOfCentralSize = dv.getBigInt64(4, true)
     // const diskNumber = dv.getUint32(16, true)
@@ -375,16 +665,37 @@ async function* Reader (file) {
     centralDirOffset = Number(getBigInt64(dv, 48, true))
   }
 
-  if (centralDirOffset < 0 || centralDirOffset >= file.size) {
+  if (
+    centralDirOffset < 0 ||
+    centralDirOffset >= file.size ||
+    centralDirOffset + centralDirSize > file.size
+  ) {
     throw new Error(ERR_BAD_FORMAT)
   }
 
+  // before anything is allocated for it
+  limiter?.checkCentralDirectory(fileslength, centralDirSize)
+
   const start = centralDirOffset
   const end = centralDirOffset + centralDirSize
   const blob = file.slice(start, end)
-  const bytes = new Uint8Array(await blob.arrayBuffer())
 
-  for (let i = 0, index = 0; i < fileslength; i++) {
+  return {
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+    count: fileslength,
+    comment: eocdr.comment,
+    zip64: isZip64
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes the central directory
+ * @param {number} count
+ * @param {Blob} file
+ * @param {Object} options same options as `read()`, and the `limiter`
+ */
+function * centralDirectoryEntries (bytes, count, file, options) {
+  for (let i = 0, index = 0; i < count; i++) {
     const size =
       uint16e(bytes, index + 28) + // filenameLength
       uint16e(bytes, index + 30) + // extraFieldLength
@@ -395,11 +706,130 @@ async function* Reader (file) {
       throw new Error('Invalid ZIP file.')
     }
 
-    yield new Entry(new DataView(bytes.buffer, index, size), file)
+    const entry = new Entry(new DataView(bytes.buffer, index, size), file, options)
+    options.limiter?.checkEntry(entry)
+    yield entry
 
     index += size
   }
 }
 
+/**
+ * @param {Blob} file
+ * @param {Object} [options]
+ * @param {boolean} [options.verify=true] check extracted entries against their
+ *   crc32 and size, turn it off if you trust the archive and want raw speed
+ * @param {string | Uint8Array} [options.password] used to decrypt encrypted
+ *   entries
+ * @param {import('./utils.js').Limits} [options.limits] protects against zip
+ *   bombs, going over a limit throws a `ZipLimitError`. The sizes are checked
+ *   against the headers up front and against the data as it's inflated.
+ * @param {string} [options.encoding='cp437'] charset of the names and
+ *   comments that aren't flagged as utf-8, like `'shift_jis'` for archives
+ *   from old Japanese tools. Any label TextDecoder knows.
+ */
+async function* Reader (file, options = {}) {
+  const limiter = options.limits && new Limiter(options.limits)
+  const { bytes, count } = await readCentralDirectory(file, limiter)
+  yield * centralDirectoryEntries(bytes, count, file, { ...options, limiter })
+}
+
+/**
+ * Reads the archive comment, without going through the central directory
+ *
+ * @param {Blob} file
+ * @param {Object} [options]
+ * @param {string} [options.encoding='cp437'] for comments that aren't valid
+ *   utf-8, same as for `read()`
+ * @returns {Promise<string>}
+ */
+async function readComment (file, options = {}) {
+  const { comment } = await findEndOfCentralDirectory(file)
+  return decodeComment(comment, options.encoding)
+}
+
+/**
+ * An opened archive with its central directory parsed once, for random access
+ * to entries by name
+ */
+class Archive {
+  /** @type {Map<string, Entry>} */
+  #byName = new Map()
+
+  /**
+   * @param {Entry[]} entries
+   * @param {Object} info
+   * @param {string} info.comment
+   * @param {Uint8Array} info.rawComment the comment as it's stored
+   * @param {boolean} info.zip64
+   */
+  constructor (entries, { comment, rawComment, zip64 }) {
+    /** @type {ReadonlyArray<Entry>} */
+    this.entries = Object.freeze(entries)
+    this.comment = comment
+    this.rawComment = rawComment
+    this.zip64 = zip64
+    // with duplicate names the last one wins, just like when extracting
+    for (const entry of entries) this.#byName.set(entry.name, entry)
+  }
+
+  /**
+   * Number of entries
+   */
+  get size () {
+    return this.entries.length
+  }
+
+  get count () {
+    return this.entries.length
+  }
+
+  /**
+   * @param {string} name directories can be given without the trailing slash
+   * @returns {Entry | undefined}
+   */
+  get (name) {
+    return this.#byName.get(name) ?? this.#byName.get(name + '/')
+  }
+
+  /**
+   * @param {string} name
+   */
+  has (name) {
+    return this.get(name) !== undefined
+  }
+
+  /**
+   * @param {string | RegExp | ((entry: Entry) => boolean)} pattern a glob
+   *   like `docs/**\/*.md`, a RegExp tested against the name or a predicate
+   * @returns {Entry[]}
+   */
+  filter (pattern) {
+    return this.entries.filter(matcher(pattern))
+  }
+
+  [Symbol.iterator] () {
+    return this.entries[Symbol.iterator]()
+  }
+}
+
+/**
+ * Parses the central directory once and gives random access to the entries
+ *
+ * @param {Blob} file
+ * @param {Object} [options] same options as `read()`
+ * @returns {Promise<Archive>}
+ */
+async function openArchive (file, options = {}) {
+  const limiter = options.limits && new Limiter(options.limits)
+  const { bytes, count, comment, zip64 } = await readCentralDirectory(file, limiter)
+  const entries = [...centralDirectoryEntries(bytes, count, file, { ...options, limiter })]
+  return new Archive(entries, {
+    comment: decodeComment(comment, options.encoding),
+    rawComment: comment,
+    zip64
+  })
+}
+
 export default Reader
-export { Entry }
+export { Archive, Entry, openArchive, readComment }
@@ -0,0 +1,471 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// Internal helpers shared between the readers and the writer
+import Crc32 from './crc.js'
+import { ZipIntegrityError, ZipLimitError, ZipPasswordError } from './errors.js'
+import { zipCryptoDecryptor } from './zipcrypto.js'
+import { aesDecryptor } from './aes.js'
+import { decodeCp437 } from './cp437.js'
+
+/**
+ * @typedef {Object} VerifiableEntry
+ * @property {string} name
+ * @property {number} size
+ * @property {number} crc32
+ */
+
+/**
+ * @typedef {Object} EncryptedEntry
+ * @property {string} name
+ * @property {number} crc32
+ * @property {number} bitFlag
+ */
+
+/**
+ * @typedef {Object} AesInfo
+ * @property {number} version 1 for AE-1, 2 for AE-2
+ * @property {number} strength 1, 2 or 3 for AES-128, 192 or 256
+ * @property {number} method the actual compression method
+ */
+
+/**
+ * @param {number} crc computed crc32
+ * @param {number} length number of bytes the crc was computed over
+ * @param {VerifiableEntry} entry the entry they should match
+ * @param {boolean} [checkCrc=true]
+ */
+function assertIntegrity (crc, length, entry, checkCrc = true) {
+  if (length !== entry.size) {
+    throw new ZipIntegrityError(
+      `Size mismatch in ${entry.name}: expected ${entry.size} bytes, got ${length}`,
+      { entry: entry.name, expected: entry.size, actual: length }
+    )
+  }
+  if (checkCrc && crc !== entry.crc32) {
+    throw new ZipIntegrityError(
+      `CRC-32 mismatch in ${entry.name}`,
+      { entry: entry.name, expected: entry.crc32, actual: crc }
+    )
+  }
+}
+
+/**
+ * Passes the data through untouched while keeping track of its crc32 and
+ * length, errors the stream if they don't match the entry.
+ *
+ * @param {VerifiableEntry} entry
+ * @param {Object} [options]
+ * @param {boolean} [options.sizeKnown=true] whether the entry's size is
+ *   already known, or only once all of the data has gone through
+ * @param {boolean} [options.crc=true] whether to check the crc32 at all, AE-2
+ *   encrypted entries don't have one
+ */
+function verifier (entry, { sizeKnown = true, crc: checkCrc = true } = {}) {
+  const crc = new Crc32()
+  let length = 0
+
+  return new TransformStream({
+    transform (chunk, ctrl) {
+      crc.append(chunk)
+      length += chunk.byteLength
+      // no need to wait for the end when there is already too much data
+      if (sizeKnown && length > entry.size) assertIntegrity(crc.get(), length, entry, checkCrc)
+      ctrl.enqueue(chunk)
+    },
+    flush () {
+      assertIntegrity(crc.get(), length, entry, checkCrc)
+    }
+  })
+}
+
+/**
+ * Creates the TransformStream that decrypts an entry's raw data
+ *
+ * @param {EncryptedEntry} entry
+ * @param {string | Uint8Array | undefined} password
+ * @param {number} dosTime the entry's last modified time, in dos format
+ * @param {AesInfo} [aes] the entry's WinZip AES extra field, if any
+ */
+function decryptor (entry, password, dosTime, aes) {
+  if (password === undefined) {
+    throw new ZipPasswordError(
+      `${entry.name} is encrypted, a password is required`,
+      { entry: entry.name }
+    )
+  }
+
+  if (aes) return aesDecryptor(password, aes.strength, entry.name)
+
+  // When the crc isn't known up front (bit 3) the check byte is the high
+  // byte of the time instead, APPNOTE 6.1.6
+  const checkByte = entry.bitFlag & 0x0008
+    ? (dosTime >>> 8) & 0xff
+    : entry.crc32 >>> 24
+
+  return zipCryptoDecryptor(password, checkByte, entry.name)
+}
+
+/**
+ * Decodes the WinZip AES extra field (0x9901)
+ *
+ * @param {DataView} [field]
+ * @returns {AesInfo | undefined}
+ */
+function parseAesExtraField (field) {
+  if (!field || field.byteLength < 7) return
+  return {
+    version: field.getUint16(0, true),
+    strength: field.getUint8(4),
+    method: field.getUint16(5, true)
+  }
+}
+
+/**
+ * Decodes a MS-DOS date and time, as stored in zip headers with the time in
+ * the low 16 bits and the date in the high 16 bits, into a local timestamp
+ *
+ * @param {number} t
+ */
+function fromDosDateTime (t) {
+  return new Date(
+    ((t >> 25) & 0x7f) + 1980, // year
+    ((t >> 21) & 0x0f) - 1, // month
+    (t >> 16) & 0x1f, // day
+    (t >> 11) & 0x1f, // hour
+    (t >> 5) & 0x3f, // minute
+    (t & 0x1f) << 1 // second
+  ).getTime()
+}
+
+/**
+ * @param {Date} date
+ * @returns {number} dos date in the high and dos time in the low 16 bits
+ */
+function toDosDateTime (date) {
+  // dos dates can't go outside of 1980 - 2107
+  const year = date.getFullYear()
+  if (year < 1980) return (1 << 21) | (1 << 16)
+  if (year > 2107) return ((127 << 25) | (12 << 21) | (31 << 16) | (23 << 11) | (59 << 5) | 29) >>> 0
+  return (((date.getFullYear() - 1980) << 25) |
+    ((date.getMonth() + 1) << 21) |
+    (date.getDate() << 16) |
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    (date.getSeconds() >> 1)) >>> 0
+}
+
+/** milliseconds between the windows epoch (1601) and the unix epoch */
+const FILETIME_EPOCH = 11644473600000
+
+/**
+ * @typedef {Object} Timestamps
+ * @property {number} [lastModified] in ms
+ * @property {number} [lastAccessed] in ms
+ * @property {number} [created] in ms
+ */
+
+/**
+ * @param {bigint} filetime 100 ns intervals since 1601
+ */
+function fromFileTime (filetime) {
+  return Number(filetime / 10000n) - FILETIME_EPOCH
+}
+
+/**
+ * @param {number} ms
+ */
+function toFileTime (ms) {
+  return BigInt(Math.round(ms) + FILETIME_EPOCH) * 10000n
+}
+
+/** extended timestamp flags and the times they stand for, in order */
+const EXTENDED_TIMESTAMPS = [
+  [1, 'lastModified'],
+  [2, 'lastAccessed'],
+  [4, 'created']
+]
+
+/**
+ * Extended timestamp extra field (0x5455). The flags tell which times the
+ * local header has, the central directory only ever has the mtime.
+ *
+ * @param {DataView} [field]
+ * @returns {Timestamps}
+ */
+function parseExtendedTimestamp (field) {
+  /** @type {Timestamps} */
+  const times = {}
+  if (!field || field.byteLength < 1) return times
+  const flags = field.getUint8(0)
+  let offset = 1
+  for (const [bit, key] of EXTENDED_TIMESTAMPS) {
+    if (!(flags & bit)) continue
+    if (offset + 4 > field.byteLength) break
+    times[key] = field.getInt32(offset, true) * 1000
+    offset += 4
+  }
+  return times
+}
+
+/**
+ * Finds the timestamp attribute (tag 1) of a NTFS extra field (0x000a)
+ *
+ * @param {DataView} [field]
+ * @returns {number} offset of the mtime, or -1
+ */
+function ntfsTimeOffset (field) {
+  if (!field) return -1
+  // 4 reserved bytes, followed by tagged attributes
+  for (let i = 4; i + 4 <= field.byteLength;) {
+    const tag = field.getUint16(i, true)
+    const size = field.getUint16(i + 2, true)
+    if (tag === 1 && size >= 24 && i + 28 <= field.byteLength) return i + 4
+    i += 4 + size
+  }
+  return -1
+}
+
+/**
+ * @param {DataView} [field]
+ * @returns {Timestamps}
+ */
+function parseNtfsTimeField (field) {
+  const offset = ntfsTimeOffset(field)
+  if (offset === -1) return {}
+  return {
+    lastModified: fromFileTime(field.getBigUint64(offset, true)),
+    lastAccessed: fromFileTime(field.getBigUint64(offset + 8, true)),
+    created: fromFileTime(field.getBigUint64(offset + 16, true))
+  }
+}
+
+/**
+ * The times found in the extra fields, NTFS times take priority over the
+ * extended timestamp since they are more precise
+ *
+ * @param {Object<string, DataView>} extraFields
+ * @returns {Timestamps}
+ */
+function parseTimestamps (extraFields) {
+  return {
+    ...parseExtendedTimestamp(extraFields[0x5455]),
+    ...parseNtfsTimeField(extraFields[0x000a])
+  }
+}
+
+/**
+ * @param {number} ms
+ * @returns {number | undefined} undefined when it doesn't fit in the signed
+ *   32 bits of the extended timestamp
+ */
+function unixSeconds (ms) {
+  const seconds = Math.floor(ms / 1000)
+  return seconds >= -0x80000000 && seconds <= 0x7fffffff ? seconds : undefined
+}
+
+/**
+ * Builds the extended timestamp (0x5455) and, if asked for, the NTFS (0x000a)
+ * extra fields. Both are written the same in the local and central headers,
+ * so the extended timestamp only has the mtime.
+ *
+ * @param {Timestamps & { lastModified: number }} times
+ * @param {boolean} [ntfs]
+ */
+function timestampExtraFields ({ lastModified, lastAccessed, created }, ntfs) {
+  const seconds = unixSeconds(lastModified)
+  const extendedLength = seconds === undefined ? 0 : 9
+  const field = new Uint8Array(extendedLength + (ntfs ? 36 : 0))
+  const dv = new DataView(field.buffer)
+
+  if (extendedLength) {
+    dv.setUint16(0, 0x5455, true)
+    dv.setUint16(2, 5, true)
+    dv.setUint8(4, 1) // only the mtime
+    dv.setInt32(5, seconds, true)
+  }
+
+  if (ntfs) {
+    const i = extendedLength
+    dv.setUint16(i, 0x000a, true)
+    dv.setUint16(i + 2, 32, true)
+    // 4 reserved bytes, then the timestamp attribute
+    dv.setUint16(i + 8, 1, true)
+    dv.setUint16(i + 10, 24, true)
+    dv.setBigUint64(i + 12, toFileTime(lastModified), true)
+    dv.setBigUint64(i + 20, toFileTime(lastAccessed ?? lastModified), true)
+    dv.setBigUint64(i + 28, toFileTime(created ?? lastModified), true)
+  }
+
+  return field
+}
+
+/**
+ * Updates the mtime of the timestamp extra fields that are present
+ *
+ * @param {Object<string, DataView>} extraFields
+ * @param {number} ms
+ */
+function setLastModified (extraFields, ms) {
+  const extended = extraFields[0x5455]
+  const seconds = unixSeconds(ms)
+  if (extended?.byteLength >= 5 && extended.getUint8(0) & 1 && seconds !== undefined) {
+    extended.setInt32(1, seconds, true)
+  }
+  const ntfs = extraFields[0x000a]
+  const offset = ntfsTimeOffset(ntfs)
+  if (offset !== -1) ntfs.setBigUint64(offset, toFileTime(ms), true)
+}
+
+/**
+ * @typedef {Object} Limits
+ * @property {number} [maxEntries] number of entries in the archive
+ * @property {number} [maxCentralDirectorySize] bytes of the central directory
+ * @property {number} [maxEntrySize] uncompressed bytes of a single entry
+ * @property {number} [maxTotalSize] uncompressed bytes of all entries
+ * @property {number} [maxCompressionRatio] uncompressed size divided by the
+ *   compressed size of an entry
+ */
+
+/**
+ * Keeps track of the resources an archive uses, both what the headers claim
+ * and what the data actually inflates to
+ */
+class Limiter {
+  /** bytes declared by the entries seen so far */
+  declaredTotal = 0
+  /** bytes actually extracted so far */
+  total = 0
+
+  /** @param {Limits} [limits] */
+  constructor (limits = {}) {
+    this.limits = limits
+  }
+
+  /**
+   * @param {keyof Limits} limit
+   * @param {number} actual
+   * @param {string} [entry]
+   */
+  #check (limit, actual, entry) {
+    const max = this.limits[limit]
+    if (max !== undefined && actual > max) {
+      throw new ZipLimitError(
+        `${entry ? `Entry ${entry}` : 'Archive'} exceeds ${limit}: ${actual} > ${max}`,
+        { entry, limit, max, actual }
+      )
+    }
+  }
+
+  /**
+   * @param {number} count
+   * @param {number} size
+   */
+  checkCentralDirectory (count, size) {
+    this.#check('maxEntries', count)
+    this.#check('maxCentralDirectorySize', size)
+  }
+
+  /**
+   * Checks the sizes an entry declares in its header
+   *
+   * @param {{ name: string, size: number, compressedSize: number }} entry
+   */
+  checkEntry ({ name, size, compressedSize }) {
+    // stored entries are read as compressedSize bytes
+    this.#check('maxEntrySize', Math.max(size, compressedSize), name)
+    this.#check('maxCompressionRatio', ratio(size, compressedSize), name)
+    this.declaredTotal += size
+    this.#check('maxTotalSize', this.declaredTotal)
+  }
+
+  /**
+   * Counts data as it's extracted
+   *
+   * @param {{ name: string, compressedSize: number }} entry
+   * @param {number} length extracted from the entry so far
+   * @param {number} added the part of it that is new
+   */
+  count (entry, length, added) {
+    this.#check('maxEntrySize', length, entry.name)
+    this.#check('maxCompressionRatio', ratio(length, entry.compressedSize), entry.name)
+    this.total += added
+    this.#check('maxTotalSize', this.total)
+  }
+
+  /**
+   * A pass through stream that errors as soon as a limit is exceeded
+   *
+   * @param {{ name: string, compressedSize: number }} entry
+   */
+  stream (entry) {
+    let length = 0
+    return new TransformStream({
+      transform: (chunk, ctrl) => {
+        length += chunk.byteLength
+        this.count(entry, length, chunk.byteLength)
+        ctrl.enqueue(chunk)
+      }
+    })
+  }
+}
+
+/**
+ * @param {number} size
+ * @param {number} compressedSize
+ */
+function ratio (size, compressedSize) {
+  if (!size) return 0
+  return compressedSize ? size / compressedSize : Infinity
+}
+
+/** @type {Map<string, TextDecoder>} */
+const textDecoders = new Map()
+
+/**
+ * Decodes a name or comment. Bit 11 says it's utf-8, otherwise it's CP437,
+ * unless the archive is known to use another charset like `'shift_jis'`.
+ *
+ * @param {Uint8Array} bytes
+ * @param {boolean} utf8 whether bit 11 is set
+ * @param {string} [encoding] any label TextDecoder knows, or `'cp437'`
+ */
+function decodeText (bytes, utf8, encoding = 'cp437') {
+  if (!utf8 && encoding.toLowerCase() === 'cp437') return decodeCp437(bytes)
+
+  const label = utf8 ? 'utf-8' : encoding
+  let decoder = textDecoders.get(label)
+  if (!decoder) {
+    decoder = new TextDecoder(label)
+    textDecoders.set(label, decoder)
+  }
+  return decoder.decode(bytes)
+}
+
+/**
+ * The name from the Info-ZIP unicode path extra field, if it still belongs to
+ * the raw name it was made for
+ *
+ * @param {DataView} [field]
+ * @param {Uint8Array} rawName
+ */
+function unicodePath (field, rawName) {
+  if (!field || field.byteLength < 5 || field.getUint8(0) !== 1) return
+  const crc = new Crc32()
+  crc.append(rawName)
+  if (crc.get() !== field.getUint32(1, true)) return
+  return decodeText(new Uint8Array(field.buffer, field.byteOffset + 5, field.byteLength - 5), true)
+}
+
+export {
+  Limiter,
+  assertIntegrity,
+  decodeText,
+  decryptor,
+  parseAesExtraField,
+  verifier,
+  fromDosDateTime,
+  parseTimestamps,
+  setLastModified,
+  timestampExtraFields,
+  toDosDateTime,
+  unicodePath
+}
@@ -0,0 +1,172 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// Turns a directory, a Node.js path or a FileSystemDirectoryHandle, into the
+// entries the Writer takes
+import { matcher } from './glob.js'
+
+/**
+ * @typedef {string | RegExp | ((entry: { name: string }) => boolean)} Pattern
+ */
+
+/**
+ * @typedef {Object} Walk
+ * @property {(name: string) => boolean} include
+ * @property {(name: string) => boolean} exclude
+ * @property {'store' | 'follow'} symlinks
+ * @property {Object[]} pending directory entries waiting for an included
+ *   file, with `include` they are only yielded once something in them is
+ */
+
+/**
+ * @param {Pattern | Pattern[] | undefined} patterns
+ * @param {boolean} fallback what to return without any patterns
+ * @returns {(name: string) => boolean}
+ */
+function anyOf (patterns, fallback) {
+  if (patterns === undefined) return () => fallback
+  const tests = [patterns].flat().map(matcher)
+  // directories match both as `dir/` and `dir`
+  return name => tests.some(test => test({ name }) || (name.endsWith('/') && test({ name: name.slice(0, -1) })))
+}
+
+/**
+ * Content of a file that isn't opened until it is read
+ *
+ * @param {string} file
+ */
+async function * open (file) {
+  const { openAsBlob } = await import('node:fs')
+  yield * (await openAsBlob(file)).stream()
+}
+
+/**
+ * @param {Walk} walk
+ * @param {string} dir
+ * @param {string} prefix
+ * @param {string[]} ancestors real paths of the directories above, to catch
+ *   symlinks that loop back up
+ */
+async function * walkPath (walk, dir, prefix, ancestors) {
+  const fs = await import('node:fs/promises')
+  const path = await import('node:path')
+  const { pending } = walk
+
+  const dirents = await fs.readdir(dir, { withFileTypes: true })
+  dirents.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+
+  for (const dirent of dirents) {
+    const file = path.join(dir, dirent.name)
+    let stats = await fs.lstat(file)
+    if (stats.isSymbolicLink() && walk.symlinks === 'follow') {
+      // links that point nowhere, or in a circle, are stored as links
+      stats = await fs.stat(file).catch(err => {
+        if (err.code === 'ENOENT' || err.code === 'ELOOP') return stats
+        throw err
+      })
+    }
+
+    if (stats.isDirectory()) {
+      const name = `${prefix}${dirent.name}/`
+      if (walk.exclude(name)) continue
+      const real = await fs.realpath(file)
+      if (ancestors.includes(real)) continue
+      const entry = { name, directory: true, lastModified: stats.mtimeMs, mode: stats.mode }
+      pending.push(entry)
+      if (walk.include(name)) yield * pending.splice(0)
+      yield * walkPath(walk, file, name, [...ancestors, real])
+      // nothing in it was included
+      if (pending.at(-1) === entry) pending.pop()
+      continue
+    }
+
+    const name = prefix + dirent.name
+    if (walk.exclude(name) || !walk.include(name)) continue
+    yield * pending.splice(0)
+    if (stats.isSymbolicLink()) {
+      yield { name, linkTarget: await fs.readlink(file), lastModified: stats.mtimeMs, mode: stats.mode }
+    } else if (stats.isFile()) {
+      yield { name, size: stats.size, lastModified: stats.mtimeMs, mode: stats.mode, stream: () => ReadableStream.from(open(file)) }
+    }
+    // sockets, fifos and devices can't be zipped
+  }
+}
+
+/**
+ * @param {Walk} walk
+ * @param {FileSystemDirectoryHandle} dir
+ * @param {string} prefix
+ */
+async function * walkHandle (walk, dir, prefix) {
+  const { pending } = walk
+  const handles = []
+  for await (const handle of dir.values()) handles.push(handle)
+  handles.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+
+  for (const handle of handles) {
+    if (handle.kind === 'directory') {
+      const name = `${prefix}${handle.name}/`
+      if (walk.exclude(name)) continue
+      const entry = { name, directory: true }
+      pending.push(entry)
+      if (walk.include(name)) yield * pending.splice(0)
+      yield * walkHandle(walk, handle, name)
+      if (pending.at(-1) === entry) pending.pop()
+      continue
+    }
+
+    const name = prefix + handle.name
+    if (walk.exclude(name) || !walk.include(name)) continue
+    yield * pending.splice(0)
+    // a File is a snapshot that is only read when streamed
+    const file = await handle.getFile()
+    yield { name, size: file.size, lastModified: file.lastModified, stream: () => file.stream() }
+  }
+}
+
+/**
+ * Walks a directory lazily, yielding an entry for each file, directory and
+ * symlink in it with its path relative to the directory. Files aren't opened
+ * before the `Writer` reads them, so huge trees can be zipped without holding
+ * on to anything.
+ *
+ * Patterns are tested against those relative paths, directories end with a
+ * slash but also match without it. Excluded directories aren't walked into.
+ * With `include`, directories are only yielded when they match or something
+ * in them does.
+ *
+ * @example
+ * const stream = ReadableStream.from(walk('./app', { exclude: ['node_modules', '.git'] }))
+ *   .pipeThrough(new Writer())
+ *
+ * @param {string | FileSystemDirectoryHandle} root a path (Node.js only) or
+ *   a directory handle
+ * @param {Object} [options]
+ * @param {Pattern | Pattern[]} [options.include] only these
+ * @param {Pattern | Pattern[]} [options.exclude] none of these
+ * @param {'store' | 'follow'} [options.symlinks='store'] store symlinks as
+ *   links, or zip what they point to. Followed links that loop back to a
+ *   directory above them are left out, dangling ones are stored as links.
+ *   Handles don't have symlinks.
+ * @returns {AsyncGenerator<Object>}
+ */
+async function * walk (root, options = {}) {
+  const { symlinks = 'store' } = options
+  if (!['store', 'follow'].includes(symlinks)) {
+    throw new TypeError(`Unknown symlinks option: ${symlinks}`)
+  }
+  /** @type {Walk} */
+  const state = {
+    include: anyOf(options.include, true),
+    exclude: anyOf(options.exclude, false),
+    symlinks,
+    pending: []
+  }
+
+  if (typeof root === 'string') {
+    const fs = await import('node:fs/promises')
+    yield * walkPath(state, root, '', [await fs.realpath(root)])
+  } else {
+    yield * walkHandle(state, root, '')
+  }
+}
+
+export default walk
@@ -1,19 +1,528 @@
 /*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
 import Crc32 from './crc.js'
+import { aesEncryptor, aesOverhead } from './aes.js'
+import { ZipIntegrityError } from './errors.js'
+import { compressionMethod, compressor, versionNeeded } from './codecs.js'
+import { encodeCp437 } from './cp437.js'
+import { timestampExtraFields, toDosDateTime } from './utils.js'
 
 const encoder = new TextEncoder()
 const MAX_VALUE_32BITS = 0xffffffff
 
+/** @type {Object<string, number>} WinZip AES key strengths */
+const ENCRYPTION_STRENGTHS = {
+  aes128: 1,
+  aes192: 2,
+  aes256: 3
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ */
+function concat (chunks) {
+  const bytes = new Uint8Array(chunks.reduce((length, c) => length + c.length, 0))
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+  return bytes
+}
+
+/**
+ * Encodes a comment, which has to fit in a 16 bit length field
+ *
+ * @param {string} [comment]
+ * @param {Uint8Array} [bytes] the comment already encoded
+ */
+function encodeComment (comment = '', bytes = encoder.encode(comment)) {
+  if (bytes.length > 0xffff) {
+    throw new RangeError(`Comment is ${bytes.length} bytes, the max is 65535 bytes`)
+  }
+  return bytes
+}
+
+/**
+ * Encodes the name and comment of an entry. In CP437 with bit 11 clear when
+ * that's asked for and they fit, in utf-8 with bit 11 set otherwise.
+ *
+ * @param {string} name
+ * @param {string} comment
+ * @param {'utf-8' | 'cp437'} encoding
+ * @returns {{ nameBuf: Uint8Array, comment: Uint8Array, utf8: boolean }}
+ */
+function encodeText (name, comment, encoding) {
+  if (encoding === 'cp437') {
+    const nameBuf = encodeCp437(name)
+    const commentBuf = encodeCp437(comment)
+    if (nameBuf && commentBuf) {
+      return { nameBuf, comment: encodeComment(comment, commentBuf), utf8: false }
+    }
+  }
+  return { nameBuf: encoder.encode(name), comment: encodeComment(comment), utf8: true }
+}
+
+/**
+ * @param {string} encryption
+ */
+function encryptionStrength (encryption) {
+  const strength = ENCRYPTION_STRENGTHS[encryption]
+  if (strength === undefined) {
+    throw new TypeError(`Unknown encryption: ${encryption}`)
+  }
+  return strength
+}
+
+/**
+ * WinZip AES extra field (0x9901), AE-2 since the crc is left out
+ *
+ * @param {number} strength
+ * @param {number} method the actual compression method
+ */
+function aesExtraField (strength, method) {
+  const field = new Uint8Array(11)
+  const dv = new DataView(field.buffer)
+  dv.setUint16(0, 0x9901, true)
+  dv.setUint16(2, 7, true)
+  dv.setUint16(4, 2, true) // AE-2
+  field.set([65, 69], 6) // vendor id "AE"
+  dv.setUint8(8, strength)
+  dv.setUint16(9, method, true)
+  return field
+}
+
+const S_IFMT = 0o170000
+const S_IFDIR = 0o040000
+const S_IFREG = 0o100000
+const S_IFLNK = 0o120000
+
+/**
+ * @param {Object} entry
+ */
+function isSymlink (entry) {
+  return !!entry.symlink || entry.linkTarget !== undefined
+}
+
+/**
+ * Version made by host and external file attributes. Unix ones when the entry
+ * has a `mode` or is a symlink, otherwise (msdos) just the directory bit.
+ *
+ * @param {Object} entry
+ * @returns {{ host: number, externalAttributes: number }}
+ */
+function fileAttributes (entry) {
+  const dos = entry.directory ? 0x10 : 0
+  const symlink = isSymlink(entry)
+  if (entry.mode === undefined && !symlink) return { host: 0, externalAttributes: dos }
+
+  let mode = entry.mode ?? (symlink ? 0o777 : entry.directory ? 0o755 : 0o644)
+  // the file type can be left out, like in `mode: 0o755`
+  if (!(mode & S_IFMT)) mode |= symlink ? S_IFLNK : entry.directory ? S_IFDIR : S_IFREG
+  return { host: 3, externalAttributes: ((mode << 16) | dos) >>> 0 }
+}
+
+/**
+ * Extra fields that are recomputed, or no longer true, when an entry is
+ * copied: zip64 sizes and the Info-ZIP unicode path and comment
+ */
+const REBUILT_EXTRA_FIELDS = [0x0001, 0x7075, 0x6375]
+
+/**
+ * An `Entry` from lib/read.js, or a descriptor with `raw: true` whose
+ * `stream()` yields data that is already compressed (and encrypted)
+ *
+ * @param {Object} entry
+ */
+function isRaw (entry) {
+  return entry.raw === true || typeof entry.rawBytes === 'function'
+}
+
+/**
+ * @param {Uint8Array} [extra] extra fields of the entry being copied
+ */
+function copyExtraFields (extra = new Uint8Array(0)) {
+  const dv = new DataView(extra.buffer, extra.byteOffset, extra.byteLength)
+  const kept = []
+  for (let i = 0; i + 4 <= extra.length;) {
+    const end = i + 4 + dv.getUint16(i + 2, true)
+    if (!REBUILT_EXTRA_FIELDS.includes(dv.getUint16(i, true))) {
+      kept.push(...extra.subarray(i, end))
+    }
+    i = end
+  }
+  return new Uint8Array(kept)
+}
+
+/**
+ * @param {Object} zipObject
+ */
+function requiresZip64 (zipObject) {
+  return zipObject.compressedLength >= MAX_VALUE_32BITS ||
+    zipObject.uncompressedLength >= MAX_VALUE_32BITS ||
+    zipObject.offset > MAX_VALUE_32BITS
+}
+
+/**
+ * Puts the sizes in the header, saturated when they are in the zip64 field,
+ * which also needs version 4.5 to extract
+ *
+ * @param {Object} zipObject
+ */
+function setSizes (zipObject) {
+  const hdv = new DataView(zipObject.header.buffer)
+  if (zipObject.zip64) zipObject.version = Math.max(zipObject.version, 45)
+  hdv.setUint16(0, zipObject.version, true)
+  hdv.setUint32(14, zipObject.zip64 ? MAX_VALUE_32BITS : Number(zipObject.compressedLength), true)
+  hdv.setUint32(18, zipObject.zip64 ? MAX_VALUE_32BITS : Number(zipObject.uncompressedLength), true)
+}
+
+/**
+ * The local file header. Zip64 entries get the zip64 extra field with their
+ * sizes, which are zero when a data descriptor follows.
+ *
+ * @param {Object} zipObject
+ */
+function localFileHeader (zipObject) {
+  const { header, nameBuf, extra, zip64 } = zipObject
+  const hdv = new DataView(header.buffer)
+
+  const localExtra = new Uint8Array(extra.length + (zip64 ? 20 : 0))
+  localExtra.set(extra)
+  if (zip64) {
+    const edv = new DataView(localExtra.buffer, extra.length)
+    edv.setUint16(0, 0x0001, true)
+    edv.setUint16(2, 16, true)
+    edv.setBigUint64(4, zipObject.uncompressedLength, true)
+    edv.setBigUint64(12, zipObject.compressedLength, true)
+  }
+
+  const data = new Uint8Array(30 + nameBuf.length + localExtra.length)
+  hdv.setUint16(24, localExtra.length, true)
+  data.set([80, 75, 3, 4])
+  data.set(header, 4)
+  data.set(nameBuf, 30)
+  data.set(localExtra, 30 + nameBuf.length)
+  // the central directory only gets the extra fields (and its own zip64 field)
+  hdv.setUint16(24, extra.length, true)
+  return data
+}
+
+/**
+ * @param {Object} zipObject
+ * @param {boolean} zip64 whether the sizes take 8 bytes
+ */
+function dataDescriptor (zipObject, zip64) {
+  const footer = new Uint8Array(zip64 ? 24 : 16)
+  const dv = new DataView(footer.buffer)
+  dv.setUint32(0, 0x08074b50, true)
+  dv.setUint32(4, new DataView(zipObject.header.buffer).getUint32(10, true), true)
+  if (zip64) {
+    dv.setBigUint64(8, zipObject.compressedLength, true)
+    dv.setBigUint64(16, zipObject.uncompressedLength, true)
+  } else {
+    dv.setUint32(8, Number(zipObject.compressedLength), true)
+    dv.setUint32(12, Number(zipObject.uncompressedLength), true)
+  }
+  return footer
+}
+
+/**
+ * Reads the content once up front to learn its crc and sizes, so they can go
+ * in the local header. A `crc32` and `size` given with a stored entry are
+ * trusted, so its content doesn't have to be read twice.
+ *
+ * @param {Object} entry
+ * @param {(() => ReadableStream<Uint8Array>) | undefined} content
+ * @param {number} method
+ * @param {number} strength
+ */
+async function measure (entry, content, method, strength) {
+  if (!content) return { crc: 0, size: 0, compressedSize: 0 }
+
+  let { crc32: crc, size } = entry
+  let compressedSize = size
+
+  if (typeof crc !== 'number' || typeof size !== 'number' || method) {
+    const checksum = new Crc32()
+    size = 0
+    compressedSize = 0
+    let stream = content().pipeThrough(new TransformStream({
+      transform (chunk, ctrl) {
+        checksum.append(chunk)
+        size += chunk.length
+        ctrl.enqueue(chunk)
+      }
+    }))
+    if (method) stream = stream.pipeThrough(compressor(method))
+    for await (const chunk of stream) compressedSize += chunk.length
+    crc = checksum.get()
+  }
+
+  compressedSize += aesOverhead(strength)
+
+  return { crc, size, compressedSize }
+}
+
+/**
+ * Lets a stream run ahead of its reader until about `highWaterMark` bytes
+ * are waiting
+ *
+ * @param {number} highWaterMark
+ */
+function buffer (highWaterMark) {
+  return new TransformStream({}, undefined, new ByteLengthQueuingStrategy({ highWaterMark }))
+}
+
+/**
+ * Stands in for the data of an entry when an archive is laid out without
+ * reading it, as a chunk that only has a length
+ */
+class Hole {
+  /**
+   * @param {Object} entry
+   * @param {boolean} raw whether the data is the entry's raw (compressed) bytes
+   * @param {number} length
+   */
+  constructor (entry, raw, length) {
+    this.entry = entry
+    this.raw = raw
+    this.length = length
+  }
+
+  /**
+   * Reads part of the data. Entries with a `slice()` like Blobs, and raw
+   * bytes of entries from lib/read.js, are sliced. Other entries are read
+   * from the start.
+   *
+   * @param {number} start
+   * @param {number} end
+   * @returns {AsyncGenerator<Uint8Array>}
+   */
+  async * read (start, end) {
+    const { entry } = this
+    let source
+    if (typeof entry.linkTarget === 'string') {
+      source = new Blob([entry.linkTarget]).slice(start, end)
+    } else if (this.raw && typeof entry.rawBytes === 'function') {
+      source = (await entry.rawBytes()).slice(start, end)
+    } else if (!this.raw && typeof entry.slice === 'function') {
+      source = entry.slice(start, end)
+    }
+
+    let offset = source ? start : 0
+    for await (const chunk of (source ?? entry).stream()) {
+      const from = Math.max(start - offset, 0)
+      const to = Math.min(end - offset, chunk.length)
+      offset += chunk.length
+      if (from < to) yield chunk.subarray(from, to)
+      if (offset >= end) return
+    }
+    throw new ZipIntegrityError(`${entry.name} is shorter than its size of ${this.length} bytes`, { entry: entry.name })
+  }
+}
+
 class ZipTransformer {
   offset = BigInt(0);
   files = Object.create(null);
   filenames = [];
+  /** @type {((ctrl: TransformStreamDefaultController) => Promise<void>)[]} entries started ahead, in order */
+  #queue = []
+
+  /**
+   * @param {Object} [options]
+   * @param {'deflate' | 'store' | string} [options.compression='store']
+   *   default compression for entries that don't specify their own
+   * @param {string | Uint8Array} [options.password] default password, entries
+   *   are encrypted when they have one
+   * @param {'aes128' | 'aes192' | 'aes256'} [options.encryption='aes256']
+   *   default encryption for entries with a password
+   * @param {string | Uint8Array} [options.comment] archive comment, at most
+   *   65535 bytes once utf-8 encoded
+   * @param {boolean} [options.ntfsTimes=false] also write the NTFS extra field,
+   *   which keeps the timestamps down to the millisecond
+   * @param {'utf-8' | 'cp437'} [options.encoding='utf-8'] of names and comments
+   * @param {boolean} [options.dataDescriptor] default for entries that
+   *   don't specify their own `dataDescriptor`, otherwise only stored entries
+   *   with a known crc32 and size go without
+   * @param {boolean} [options.forceZip64=false] default for entries that
+   *   don't specify their own `forceZip64`
+   * @param {number} [options.concurrency=1] how many entries are compressed
+   *   at the same time
+   * @param {number} [options.highWaterMark=16777216] how many compressed bytes
+   *   the entries that are ahead may buffer together
+   */
+  constructor (options = {}) {
+    this.comment = options.comment instanceof Uint8Array
+      ? encodeComment(undefined, options.comment)
+      : encodeComment(options.comment)
+    this.encoding = options.encoding ?? 'utf-8'
+    if (this.encoding !== 'utf-8' && this.encoding !== 'cp437') {
+      throw new TypeError(`Unknown encoding: ${this.encoding}`)
+    }
+    this.dataDescriptor = options.dataDescriptor
+    this.forceZip64 = !!options.forceZip64
+    this.ntfsTimes = !!options.ntfsTimes
+    this.compression = options.compression ?? 'store'
+    this.password = options.password
+    this.encryption = options.encryption ?? 'aes256'
+    this.concurrency = options.concurrency ?? 1
+    this.highWaterMark = options.highWaterMark ?? 16 * 1024 * 1024
+    compressionMethod(this.compression)
+    encryptionStrength(this.encryption)
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new RangeError(`concurrency must be a positive integer, got ${this.concurrency}`)
+    }
+    if (!(this.highWaterMark > 0)) {
+      throw new RangeError(`highWaterMark must be a positive number, got ${this.highWaterMark}`)
+    }
+  }
 
   /**
    * @param {Object} entry [description]
-   * @param {ReadableStreamDefaultController}  ctrl
+   * @param {TransformStreamDefaultController} ctrl
    */
   async transform (entry, ctrl) {
+    const write = this.#prepare(entry)
+    if (this.concurrency === 1) return write(ctrl)
+
+    // the oldest entry is written once enough of the next ones are going
+    this.#queue.push(write)
+    if (this.#queue.length >= this.concurrency) await this.#writeQueued(ctrl)
+  }
+
+  /**
+   * Writes the oldest queued entry. If that fails the ones started after it
+   * won't be written, so their sources are cancelled instead of left open.
+   *
+   * @param {TransformStreamDefaultController} ctrl
+   */
+  async #writeQueued (ctrl) {
+    try {
+      await this.#queue.shift()(ctrl)
+    } catch (err) {
+      for (const write of this.#queue.splice(0)) write.cancel?.(err)
+      throw err
+    }
+  }
+
+  /**
+   * Checks and registers an entry, and with `concurrency` starts reading and
+   * compressing it right away. The returned function writes it out, which
+   * has to happen in order since that's when it gets its offset.
+   *
+   * @param {Object} entry
+   * @returns {(ctrl: TransformStreamDefaultController) => Promise<void>}
+   */
+  #prepare (entry) {
+    const registered = this.#register(entry)
+    if (registered.raw) {
+      const { name, text, date } = registered
+      return ctrl => this.#copy(entry, name, text, date, ctrl)
+    }
+    const { zipObject, content, method, strength, password, descriptor } = registered
+
+    // crc and uncompressed size are taken from the source before it's
+    // compressed, the compressed size from what we actually emit
+    const read = { crc: new Crc32(), size: BigInt(0) }
+
+    const start = async () => {
+      // without a data descriptor the crc and sizes have to be known up front
+      const known = descriptor
+        ? undefined
+        : await measure(entry, content, method, strength)
+      if (!content) return { known }
+
+      let stream = content().pipeThrough(new TransformStream({
+        transform (chunk, controller) {
+          read.crc.append(chunk)
+          read.size += BigInt(chunk.length)
+          controller.enqueue(chunk)
+        }
+      }))
+
+      if (method) {
+        stream = stream.pipeThrough(compressor(method))
+      }
+
+      if (strength) {
+        stream = stream.pipeThrough(aesEncryptor(password, strength))
+      }
+
+      if (this.concurrency > 1) {
+        stream = stream.pipeThrough(buffer(this.highWaterMark / this.concurrency))
+      }
+
+      return { known, stream }
+    }
+
+    const started = this.concurrency > 1 ? start() : undefined
+    // errors are thrown once it's the entry's turn to be written
+    started?.catch(() => {})
+
+    const write = ctrl => this.#write(zipObject, started ?? start(), read, registered, ctrl)
+    /** @param {any} reason */
+    write.cancel = reason => started?.then(({ stream }) => stream?.cancel(reason)).catch(() => {})
+    return write
+  }
+
+  /**
+   * Writes an entry as a `Hole` the size of its data instead of reading it,
+   * so the archive can be laid out up front. Only works for entries whose
+   * size can be known before they are read: stored ones with a `size` and
+   * raw copies.
+   *
+   * @param {Object} entry
+   * @param {{ enqueue(chunk: Uint8Array | Hole): void }} ctrl
+   * @param {Object} [options]
+   * @param {boolean} [options.bytes=true] whether the bytes matter and not
+   *   just how many there are. The crc32 of entries that don't come with one
+   *   is then read from their content, and encryption isn't allowed since
+   *   it's different every time.
+   */
+  async plan (entry, ctrl, { bytes = true } = {}) {
+    const registered = this.#register(entry)
+    if (registered.raw) {
+      const { name, text, date } = registered
+      const hole = new Hole(entry, true, entry.compressedSize ?? 0)
+      return this.#copy(entry, name, text, date, ctrl, ReadableStream.from(hole.length ? [hole] : []))
+    }
+
+    const { name, zipObject, content, method, strength, descriptor } = registered
+    if (content && method) {
+      throw new TypeError(`${name} is compressed, its size isn't known before it is written`)
+    }
+    const size = typeof entry.linkTarget === 'string'
+      ? encoder.encode(entry.linkTarget).length
+      : content ? entry.size : 0
+    if (typeof size !== 'number') {
+      throw new TypeError(`${name} has no size`)
+    }
+    if (bytes && strength) {
+      throw new TypeError(`${name} is encrypted with a random salt, its bytes aren't known before it is written`)
+    }
+
+    let crc = entry.crc32 ?? 0
+    if (content && bytes && typeof entry.crc32 !== 'number') {
+      crc = (await measure({}, content, 0, 0)).crc
+    }
+    const hole = new Hole(entry, false, size + aesOverhead(strength))
+
+    await this.#write(zipObject, Promise.resolve({
+      known: descriptor ? undefined : { crc, size, compressedSize: hole.length },
+      stream: content && ReadableStream.from(hole.length ? [hole] : [])
+    }), {
+      crc: { get: () => crc },
+      size: BigInt(size)
+    }, registered, ctrl)
+  }
+
+  /**
+   * Checks an entry, works out how it's going to be written and adds it to
+   * the central directory
+   *
+   * @param {Object} entry
+   */
+  #register (entry) {
     let name = entry.name.trim()
     const date = new Date(
       typeof entry.lastModified === 'undefined'
@@ -22,16 +531,51 @@ class ZipTransformer {
     )
 
     if (entry.directory && !name.endsWith('/')) name += '/'
-    if (this.files[name]) ctrl.abort(new Error('File already exists.'))
+    if (this.files[name]) throw new Error('File already exists.')
+
+    const text = encodeText(name, entry.comment || '', this.encoding)
+    const { nameBuf } = text
 
-    const nameBuf = encoder.encode(name)
+    if (isRaw(entry)) {
+      // reserved right away, entries that are ahead are registered before
+      // #copy fills it in
+      this.files[name] = { nameBuf }
+      this.filenames.push(name)
+      return { raw: true, name, text, date }
+    }
+
+    const symlink = isSymlink(entry)
+    // the content of a symlink is its target
+    const content = typeof entry.linkTarget === 'string'
+      ? () => new Blob([entry.linkTarget]).stream()
+      : entry.stream && (() => entry.stream())
+    const hasData = !entry.directory && !!content
+    // directories, symlinks (and entries without content) are always stored
+    const method = hasData && !symlink
+      ? compressionMethod(entry.compression ?? this.compression)
+      : 0
+    const password = entry.password ?? this.password
+    const strength = hasData && password !== undefined
+      ? encryptionStrength(entry.encryption ?? this.encryption)
+      : 0
     this.filenames.push(name)
 
     this.files[name] = {
       directory: !!entry.directory,
       nameBuf,
-      offset: this.offset,
-      comment: encoder.encode(entry.comment || ''),
+      // set once it's written
+      offset: BigInt(0),
+      comment: text.comment,
+      extra: concat([
+        timestampExtraFields({
+          lastModified: date.getTime(),
+          lastAccessed: entry.lastAccessed,
+          created: entry.created
+        }, this.ntfsTimes),
+        strength ? aesExtraField(strength, method) : new Uint8Array(0)
+      ]),
+      version: strength ? 51 : versionNeeded(method),
+      ...fileAttributes(entry),
       compressedLength: BigInt(0),
       uncompressedLength: BigInt(0),
       header: new Uint8Array(26),
@@ -42,80 +586,199 @@ class ZipTransformer {
 
     const { header } = zipObject
     const hdv = new DataView(header.buffer)
-    
-    // Check if we need ZIP64 for offset (will be determined later)
-    // For now, we'll prepare the local file header without extra field
-    // and add it after we know the sizes
-    const data = new Uint8Array(30 + nameBuf.length)
-
-    hdv.setUint32(0, 0x14000808)
-    hdv.setUint16(
-      6,
-      (((date.getHours() << 6) | date.getMinutes()) << 5) |
-      (date.getSeconds() / 2),
-      true,
-    )
-    hdv.setUint16(
-      8,
-      ((((date.getFullYear() - 1980) << 4) | (date.getMonth() + 1)) << 5) |
-      date.getDate(),
-      true,
-    )
+
+    // stored entries that come with their crc32 and size don't need one, the
+    // local header can have it all without reading them twice
+    const known = method === 0 && typeof entry.crc32 === 'number' && typeof entry.size === 'number'
+    const descriptor = (entry.dataDescriptor ?? this.dataDescriptor ?? !known) !== false
+
+    // the zip64 field has to be in the local header for streaming readers to
+    // expect a zip64 data descriptor, so it's reserved for entries that say
+    // they are large
+    const forceZip64 = (entry.forceZip64 ?? this.forceZip64) ||
+      (typeof entry.size === 'number' && entry.size >= MAX_VALUE_32BITS)
+
+    // bit 3 when a data descriptor follows, bit 11 for utf-8 names and bit 0
+    // for encrypted entries
+    hdv.setUint16(2, (descriptor ? 0x0008 : 0) | (text.utf8 ? 0x0800 : 0) | (strength ? 0x0001 : 0), true)
+    hdv.setUint16(4, strength ? 99 : method, true)
+    hdv.setUint32(6, toDosDateTime(date), true)
     hdv.setUint16(22, nameBuf.length, true)
-    data.set([80, 75, 3, 4])
-    data.set(header, 4)
-    data.set(nameBuf, 30)
 
+    return { name, zipObject, content, method, strength, password, descriptor, forceZip64 }
+  }
+
+  /**
+   * Writes the local header, the content and the data descriptor of an entry
+   *
+   * @param {Object} zipObject
+   * @param {Promise<{ known?: { crc: number, size: number, compressedSize: number }, stream?: ReadableStream<Uint8Array> }>} started
+   * @param {{ crc: Crc32, size: bigint }} read what has been read of the content
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {boolean} options.descriptor
+   * @param {boolean} options.forceZip64
+   * @param {number} options.strength
+   * @param {TransformStreamDefaultController} ctrl
+   */
+  async #write (zipObject, started, read, options, ctrl) {
+    const { name, descriptor, forceZip64, strength } = options
+    const { known, stream } = await started
+    const hdv = new DataView(zipObject.header.buffer)
+    zipObject.offset = this.offset
+
+    if (known) {
+      zipObject.uncompressedLength = BigInt(known.size)
+      zipObject.compressedLength = BigInt(known.compressedSize)
+      // AE-2 doesn't reveal the crc of the plain text
+      hdv.setUint32(10, strength ? 0 : known.crc, true)
+    }
+    zipObject.zip64 = forceZip64 || requiresZip64(zipObject)
+    setSizes(zipObject)
+    // streaming readers expect a zip64 data descriptor when the local header
+    // has the zip64 field, which an offset past 4 GiB alone can give it
+    const localZip64 = zipObject.zip64
+
+    const data = localFileHeader(zipObject)
     this.offset += BigInt(data.length)
     ctrl.enqueue(data)
 
-    const footer = new Uint8Array(16)
-    footer.set([80, 75, 7, 8])
-
-    if (entry.stream) {
-      zipObject.crc = new Crc32()
-      const reader = entry.stream().getReader()
+    if (stream) {
+      let compressedLength = BigInt(0)
+      const reader = stream.getReader()
 
       while (true) {
         const it = await reader.read()
         if (it.done) break
         const chunk = it.value
-        zipObject.crc.append(chunk)
-        zipObject.uncompressedLength += BigInt(chunk.length)
-        zipObject.compressedLength += BigInt(chunk.length)
+        compressedLength += BigInt(chunk.length)
         ctrl.enqueue(chunk)
       }
 
-      // Check if we need ZIP64
-      zipObject.zip64 = zipObject.compressedLength > MAX_VALUE_32BITS ||
-                        zipObject.uncompressedLength > MAX_VALUE_32BITS ||
-                        zipObject.offset > MAX_VALUE_32BITS
-
-      hdv.setUint32(10, zipObject.crc.get(), true)
-      
-      if (zipObject.zip64) {
-        // Set sizes to 0xffffffff to indicate ZIP64
-        hdv.setUint32(14, MAX_VALUE_32BITS, true)
-        hdv.setUint32(18, MAX_VALUE_32BITS, true)
+      if (known) {
+        // the header is already out, so the content can't have changed
+        if (
+          read.crc.get() !== known.crc ||
+          read.size !== zipObject.uncompressedLength ||
+          compressedLength !== zipObject.compressedLength
+        ) {
+          throw new ZipIntegrityError(
+            `${name} doesn't match the crc32 and sizes it was measured or declared with`,
+            { entry: name }
+          )
+        }
       } else {
-        hdv.setUint32(14, Number(zipObject.compressedLength), true)
-        hdv.setUint32(18, Number(zipObject.uncompressedLength), true)
+        zipObject.uncompressedLength = read.size
+        zipObject.compressedLength = compressedLength
+        zipObject.zip64 = forceZip64 || requiresZip64(zipObject)
+        // AE-2 doesn't reveal the crc of the plain text
+        hdv.setUint32(10, strength ? 0 : read.crc.get(), true)
+        setSizes(zipObject)
       }
-      
-      footer.set(header.subarray(10, 22), 4)
     }
 
+    this.offset += zipObject.compressedLength
+
+    if (descriptor) {
+      // zip64 descriptors when the local header said so, or when the sizes
+      // don't fit anyway
+      const footer = dataDescriptor(zipObject, localZip64 ||
+        zipObject.compressedLength >= MAX_VALUE_32BITS ||
+        zipObject.uncompressedLength >= MAX_VALUE_32BITS)
+      this.offset += BigInt(footer.length)
+      ctrl.enqueue(footer)
+    }
+  }
+
+  /**
+   * Copies an entry that is already compressed, keeping its crc, method,
+   * timestamp, comment and extra fields. The sizes are known up front so
+   * they go in the local header instead of a data descriptor.
+   *
+   * @param {Object} entry
+   * @param {string} name
+   * @param {{ nameBuf: Uint8Array, comment: Uint8Array, utf8: boolean }} text
+   * @param {Date} date
+   * @param {ReadableStreamDefaultController} ctrl
+   * @param {ReadableStream} [source] what to copy instead of the entry's data
+   */
+  async #copy (entry, name, text, date, ctrl, source) {
+    const { nameBuf } = text
+    const method = entry.compressionMethod ?? 0
+    const bitFlag = entry.bitFlag ?? 0
+    const compressedSize = BigInt(entry.compressedSize ?? 0)
+    const size = BigInt(entry.size ?? 0)
+    // ZipCrypto checks the password against the dos time instead of the crc
+    // when there is a data descriptor, so such entries have to keep theirs
+    const descriptor = (bitFlag & 0x0009) === 0x0009 && method !== 99
+
+    const zipObject = this.files[name] = {
+      directory: !!entry.directory,
+      nameBuf,
+      offset: this.offset,
+      comment: text.comment,
+      extra: copyExtraFields(entry.extraField),
+      version: Math.max(entry.versionNeeded ?? 0, method === 99 ? 51 : 20),
+      // entries from lib/read.js keep their attributes as they are
+      ...(entry.externalFileAttributes === undefined
+        ? fileAttributes(entry)
+        : { host: entry.versionMadeBy >> 8, externalAttributes: entry.externalFileAttributes }),
+      compressedLength: compressedSize,
+      uncompressedLength: size,
+      header: new Uint8Array(26),
+      zip64: false
+    }
+    zipObject.zip64 = requiresZip64(zipObject)
+
+    const { header } = zipObject
+    const hdv = new DataView(header.buffer)
+    // keep the encryption and compression option bits
+    hdv.setUint16(2, (bitFlag & 0x0007) | (text.utf8 ? 0x0800 : 0) | (descriptor ? 0x0008 : 0), true)
+    hdv.setUint16(4, method, true)
+    // the stored dos time is kept as it is, converting it back from
+    // lastModified would shift it by the timezone difference when an archive
+    // from elsewhere is copied, and break the ZipCrypto check byte
+    hdv.setUint32(6, entry.dosDateTime ?? toDosDateTime(date), true)
+    hdv.setUint32(10, entry.crc32 ?? 0, true)
     hdv.setUint16(22, nameBuf.length, true)
+    setSizes(zipObject)
 
-    this.offset += zipObject.compressedLength + BigInt(16)
+    const data = localFileHeader(zipObject)
+    this.offset += BigInt(data.length)
+    ctrl.enqueue(data)
 
-    ctrl.enqueue(footer)
+    const stream = source ?? (typeof entry.rawBytes === 'function'
+      ? (await entry.rawBytes()).stream()
+      : entry.stream())
+
+    let copied = BigInt(0)
+    for await (const chunk of stream) {
+      copied += BigInt(chunk.length)
+      ctrl.enqueue(chunk)
+    }
+
+    if (copied !== compressedSize) {
+      throw new ZipIntegrityError(
+        `Size mismatch in ${name}: expected ${compressedSize} compressed bytes, got ${copied}`,
+        { entry: name, expected: Number(compressedSize), actual: Number(copied) }
+      )
+    }
+
+    this.offset += compressedSize
+
+    if (descriptor) {
+      const footer = dataDescriptor(zipObject, zipObject.zip64)
+      this.offset += BigInt(footer.length)
+      ctrl.enqueue(footer)
+    }
   }
 
   /**
-   * @param  {ReadableStreamDefaultController} ctrl
+   * @param {TransformStreamDefaultController} ctrl
    */
-  flush (ctrl) {
+  async flush (ctrl) {
+    while (this.#queue.length) await this.#writeQueued(ctrl)
+
     let length = 0
     let index = 0
     let file
@@ -134,7 +797,7 @@ class ZipTransformer {
         extraFieldLen = needsOffset ? 28 : 20
       }
       
-      length += 46 + file.nameBuf.length + file.comment.length + extraFieldLen
+      length += 46 + file.nameBuf.length + file.comment.length + file.extra.length + extraFieldLen
     })
 
     // Also check if offset or size exceeds 32-bit
@@ -142,19 +805,19 @@ class ZipTransformer {
       needsZip64 = true
     }
 
-    const data = new Uint8Array(length + (needsZip64 ? 98 : 22))
+    const data = new Uint8Array(length + (needsZip64 ? 98 : 22) + this.comment.length)
     const dv = new DataView(data.buffer)
 
     // Write central directory entries
     this.filenames.forEach((fileName) => {
       file = this.files[fileName]
       dv.setUint32(index, 0x504b0102)
-      dv.setUint16(index + 4, file.zip64 ? 0x2d00 : 0x1400) // version made by (45 for ZIP64)
+      dv.setUint16(index + 4, (file.host << 8) | file.version, true) // version made by (45 for ZIP64)
       dv.setUint16(index + 32, file.comment.length, true)
-      dv.setUint8(index + 38, file.directory ? 16 : 0)
+      dv.setUint32(index + 38, file.externalAttributes, true)
       
-      // Set offset - use 0xffffffff if ZIP64
-      if (file.zip64 || file.offset > MAX_VALUE_32BITS) {
+      // Set offset - use 0xffffffff if it's in the ZIP64 extra field
+      if (file.offset > MAX_VALUE_32BITS) {
         dv.setUint32(index + 42, MAX_VALUE_32BITS, true)
       } else {
         dv.setUint32(index + 42, Number(file.offset), true)
@@ -163,8 +826,10 @@ class ZipTransformer {
       data.set(file.header, index + 6)
       data.set(file.nameBuf, index + 46)
       
+      data.set(file.extra, index + 46 + file.nameBuf.length)
+
       // Write ZIP64 extra field if needed
-      let extraIndex = index + 46 + file.nameBuf.length
+      let extraIndex = index + 46 + file.nameBuf.length + file.extra.length
       if (file.zip64 || file.offset > MAX_VALUE_32BITS) {
         // ZIP64 extra field
         // When offset exceeds 32-bit, we need to include all three fields:
@@ -182,7 +847,7 @@ class ZipTransformer {
         }
         
         // Update extra field length in header (including 4-byte header)
-        dv.setUint16(index + 30, extraDataSize + 4, true)
+        dv.setUint16(index + 30, file.extra.length + extraDataSize + 4, true)
         extraIndex += extraDataSize + 4
       }
       
@@ -195,7 +860,7 @@ class ZipTransformer {
 
     if (needsZip64) {
       // Write ZIP64 End of Central Directory Record
-      dv.setUint32(index, 0x504b0606, true) // ZIP64 EOCD signature
+      dv.setUint32(index, 0x06064b50, true) // ZIP64 EOCD signature
       dv.setBigUint64(index + 4, BigInt(44), true) // size of zip64 end of central directory record
       dv.setUint16(index + 12, 0x2d, true) // version made by
       dv.setUint16(index + 14, 0x2d, true) // version needed to extract
@@ -208,7 +873,7 @@ class ZipTransformer {
       index += 56
 
       // Write ZIP64 End of Central Directory Locator
-      dv.setUint32(index, 0x504b0607, true) // ZIP64 EOCD Locator signature
+      dv.setUint32(index, 0x07064b50, true) // ZIP64 EOCD Locator signature
       dv.setUint32(index + 4, 0, true) // number of disk with ZIP64 EOCD
       dv.setBigUint64(index + 8, centralDirStart + centralDirSize, true) // offset of ZIP64 EOCD
       dv.setUint32(index + 16, 1, true) // total number of disks
@@ -221,7 +886,9 @@ class ZipTransformer {
     dv.setUint16(index + 10, needsZip64 ? 0xffff : this.filenames.length, true)
     dv.setUint32(index + 12, needsZip64 ? MAX_VALUE_32BITS : Number(centralDirSize), true)
     dv.setUint32(index + 16, needsZip64 ? MAX_VALUE_32BITS : Number(centralDirStart), true)
-    
+    dv.setUint16(index + 20, this.comment.length, true)
+    data.set(this.comment, index + 22)
+
     ctrl.enqueue(data)
 
     // cleanup
@@ -231,10 +898,113 @@ class ZipTransformer {
   }
 }
 
+/**
+ * Lays out the archive a `Writer` makes of some entries, without reading
+ * their data
+ *
+ * @param {Iterable<Object> | AsyncIterable<Object>} entries
+ * @param {Object} [options] of the `Writer`
+ * @param {boolean} bytes whether the bytes matter, or only their count
+ * @returns {Promise<(Uint8Array | Hole)[]>}
+ */
+async function layout (entries, options, bytes) {
+  const transformer = new ZipTransformer({ ...options, concurrency: 1 })
+  const segments = []
+  const ctrl = { enqueue: segment => segments.push(segment) }
+  for await (const entry of entries) await transformer.plan(entry, ctrl, { bytes })
+  await transformer.flush(ctrl)
+  return segments
+}
+
+/**
+ * The exact size of the archive a `Writer` with the same options makes of
+ * these entries, for a Content-Length. Entries have to be stored with a
+ * `size`, like Files, or be copied from another zip. Their data isn't read.
+ *
+ * @param {Iterable<Object> | AsyncIterable<Object>} entries
+ * @param {Object} [options] of the `Writer`
+ * @returns {Promise<number>}
+ */
+async function predictSize (entries, options) {
+  const segments = await layout(entries, options, false)
+  return segments.reduce((size, segment) => size + segment.length, 0)
+}
+
+/**
+ * A byte range of the archive a `Writer` with the same options makes of
+ * these entries, to answer Range requests. Only the data in the range is
+ * read. The same goes for the entries as for `predictSize()`, plus they
+ * can't be encrypted (the salt is random) and need a `lastModified` that
+ * doesn't change between requests. Entries without a `crc32` are read once
+ * in full to get it.
+ *
+ * @param {Iterable<Object> | AsyncIterable<Object>} entries
+ * @param {number} [start=0]
+ * @param {number} [end] exclusive, like `Blob#slice()`, defaults to the end
+ * @param {Object} [options] of the `Writer`
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function sliceArchive (entries, start = 0, end = Infinity, options = {}) {
+  return ReadableStream.from((async function * () {
+    const segments = await layout(entries, options, true)
+    let offset = 0
+    for (const segment of segments) {
+      const from = Math.max(start - offset, 0)
+      const to = Math.min(end - offset, segment.length)
+      offset += segment.length
+      if (from < to) {
+        if (segment instanceof Hole) yield * segment.read(from, to)
+        else yield segment.subarray(from, to)
+      }
+      if (offset >= end) return
+    }
+  })())
+}
+
 class Writer extends TransformStream {
-  constructor () {
-    super(new ZipTransformer())
+  /**
+   * @param {Object} [options]
+   * @param {'deflate' | 'store' | string} [options.compression='store'] default
+   *   compression, each entry can override it with its own `compression`.
+   *   Other codecs can be added with `registerCodec()` from lib/codecs.js.
+   * @param {string | Uint8Array} [options.password] encrypts every entry with
+   *   WinZip AES, each entry can override it with its own `password`
+   * @param {'aes128' | 'aes192' | 'aes256'} [options.encryption='aes256'] key
+   *   strength, each entry can override it with its own `encryption`
+   * @param {string | Uint8Array} [options.comment] archive comment, at most
+   *   65535 bytes once utf-8 encoded. Bytes are written as they are.
+   * @param {boolean} [options.ntfsTimes=false] also write the NTFS extra field
+   *   next to the extended timestamp, which keeps the timestamps down to the
+   *   millisecond
+   * @param {boolean} [options.dataDescriptor] false puts the crc and sizes
+   *   in the local headers instead of data descriptors after the data, for
+   *   strict forward only readers. The content is then read twice, unless the
+   *   entry is stored and comes with its `crc32` and `size`, those don't get
+   *   a data descriptor unless this is true. Each entry can override it with
+   *   its own `dataDescriptor`.
+   * @param {'utf-8' | 'cp437'} [options.encoding='utf-8'] 'cp437' writes names
+   *   and entry comments in CP437 with bit 11 clear, for tools that don't know
+   *   utf-8. Entries with characters that CP437 doesn't have stay utf-8.
+   * @param {boolean} [options.forceZip64=false] write every entry with zip64
+   *   fields, which is otherwise only done up front for entries with a `size`
+   *   of 4 GiB or more. Each entry can override it with its own `forceZip64`.
+   * @param {number} [options.concurrency=1] read and compress this many
+   *   entries at the same time. They are still written one after the other,
+   *   the ones that are ahead buffer what they have compressed.
+   * @param {number} [options.highWaterMark=16777216] about how many bytes the
+   *   entries that are ahead may buffer together, before they wait
+   *
+   * Entries can have a unix `mode` like 0o755, and a `linkTarget` to make
+   * them a symlink
+   *
+   * Entries from lib/read.js, and descriptors with `raw: true`, `crc32`,
+   * `compressedSize`, `size` and `compressionMethod`, are copied as they are
+   * without being recompressed
+   */
+  constructor (options) {
+    super(new ZipTransformer(options))
   }
 }
 
 export default Writer
+export { predictSize, sliceArchive }
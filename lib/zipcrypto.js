@@ -0,0 +1,95 @@
+/*! zip64. MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+// Traditional PKWARE encryption (ZipCrypto), APPNOTE 6.1
+import Crc32 from './crc.js'
+import { ZipIntegrityError, ZipPasswordError } from './errors.js'
+
+const { table } = Crc32.prototype
+const HEADER_LENGTH = 12
+
+const encoder = new TextEncoder()
+
+class ZipCryptoKeys {
+  key0 = 0x12345678
+  key1 = 0x23456789
+  key2 = 0x34567890
+
+  /** @param {Uint8Array} password */
+  constructor (password) {
+    for (const byte of password) this.update(byte)
+  }
+
+  /** @param {number} byte a plain text byte */
+  update (byte) {
+    this.key0 = (this.key0 >>> 8) ^ table[(this.key0 ^ byte) & 0xff]
+    this.key1 = (Math.imul(this.key1 + (this.key0 & 0xff), 134775813) + 1) >>> 0
+    this.key2 = (this.key2 >>> 8) ^ table[(this.key2 ^ (this.key1 >>> 24)) & 0xff]
+  }
+
+  /**
+   * Decrypts the chunk in place
+   *
+   * @param {Uint8Array} chunk
+   */
+  decrypt (chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const temp = (this.key2 | 2) & 0xffff
+      const byte = chunk[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff)
+      this.update(byte)
+      chunk[i] = byte
+    }
+    return chunk
+  }
+}
+
+/**
+ * @param {string | Uint8Array} password
+ */
+function passwordBytes (password) {
+  return typeof password === 'string' ? encoder.encode(password) : password
+}
+
+/**
+ * Creates a TransformStream that decrypts ZipCrypto encrypted data. The first
+ * 12 bytes are the encryption header, whose last byte has to match
+ * `checkByte` or the password is wrong.
+ *
+ * @param {string | Uint8Array} password
+ * @param {number} checkByte high byte of the crc32, or of the dos time when
+ *   the entry uses a data descriptor
+ * @param {string} name entry name, used in error messages
+ */
+function zipCryptoDecryptor (password, checkByte, name) {
+  const keys = new ZipCryptoKeys(passwordBytes(password))
+  const header = new Uint8Array(HEADER_LENGTH)
+  let headerLength = 0
+
+  return new TransformStream({
+    transform (chunk, ctrl) {
+      // copy it, the source may still be using it
+      chunk = chunk.slice()
+
+      if (headerLength < HEADER_LENGTH) {
+        const part = chunk.subarray(0, HEADER_LENGTH - headerLength)
+        header.set(part, headerLength)
+        headerLength += part.length
+        chunk = chunk.subarray(part.length)
+
+        if (headerLength === HEADER_LENGTH) {
+          keys.decrypt(header)
+          if (header[HEADER_LENGTH - 1] !== checkByte) {
+            throw new ZipPasswordError(`Wrong password for ${name}`, { entry: name })
+          }
+        }
+      }
+
+      if (chunk.length) ctrl.enqueue(keys.decrypt(chunk))
+    },
+    flush () {
+      if (headerLength < HEADER_LENGTH) {
+        throw new ZipIntegrityError(`Encryption header of ${name} is truncated`, { entry: name })
+      }
+    }
+  })
+}
+
+export { zipCryptoDecryptor }
@@ -6,8 +6,23 @@ import { randomUUID } from 'node:crypto'
 import os from 'node:os'
 import path from 'node:path'
 
-import read from '../lib/read.js'
-import Writer from '../lib/write.js'
+import read, { openArchive, readComment } from '../lib/read.js'
+import readStream from '../lib/read-stream.js'
+import Writer, { predictSize, sliceArchive } from '../lib/write.js'
+import Editor from '../lib/edit.js'
+import { globToRegExp } from '../lib/glob.js'
+import Crc32 from '../lib/crc.js'
+import {
+  UnsupportedCompressionMethodError,
+  ZipIntegrityError,
+  ZipLimitError,
+  ZipPasswordError,
+  ZipPathError
+} from '../lib/errors.js'
+import { registerCodec } from '../lib/codecs.js'
+import extract from '../lib/extract.js'
+import walk from '../lib/walk.js'
+import { fromURL } from '../lib/range-blob.js'
 import { VirtualLoremIpsumFile } from './virtual-lorem-ipsum-file.js'
 
 /**
@@ -1428,4 +1443,3035 @@ test('should read ZIP64 files if created by system tools', async (t) => {
   } finally {
     await fs.rm(testDir, { recursive: true, force: true })
   }
-})
\ No newline at end of file
+})
+// ============================================================================
+// Deflate compression in Writer
+// ============================================================================
+
+test('Writer should deflate entries when compression is set', async (t) => {
+  const content = 'Lorem ipsum dolor sit amet. '.repeat(1000)
+  const file = new File([content], 'deflated.txt')
+
+  const zipFile = await new Response(
+    ReadableStream.from([file]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+  const entries = await readZipBlob(zipFile)
+
+  assert.equal(entries[0].compressionMethod, 8, 'Entry should use deflate')
+  assert.equal(entries[0].size, content.length, 'Uncompressed size should match')
+  assert.ok(entries[0].compressedSize < content.length, 'Entry should be smaller than its content')
+  assert.ok(zipFile.size < content.length, 'Archive should be smaller than its content')
+  assert.equal(await entries[0].text(), content, 'Deflated content should round-trip')
+})
+
+test('Writer should let entries override the default compression', async (t) => {
+  const content = 'abc'.repeat(500)
+  const files = [
+    Object.assign(new File([content], 'stored.txt'), { compression: 'store' }),
+    Object.assign(new File([content], 'deflated.txt'), { compression: 'deflate' }),
+    new File([content], 'default.txt')
+  ]
+
+  const zipFile = await createZipBlob(files)
+  const entries = await readZipBlob(zipFile)
+
+  assert.equal(entries[0].compressionMethod, 0)
+  assert.equal(entries[0].compressedSize, content.length)
+  assert.equal(entries[1].compressionMethod, 8)
+  assert.ok(entries[1].compressedSize < content.length)
+  assert.equal(entries[2].compressionMethod, 0, 'Writer should store by default')
+
+  for (const entry of entries) {
+    assert.equal(await entry.text(), content)
+  }
+})
+
+test('Writer should always store directories', async (t) => {
+  const dir = Object.assign(new File([], 'folder/'), { directory: true })
+  const zipFile = await new Response(
+    ReadableStream.from([dir]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+  const entries = await readZipBlob(zipFile)
+
+  assert.equal(entries[0].compressionMethod, 0)
+  assert.ok(entries[0].directory)
+})
+
+test('Writer should reject unknown compression', async (t) => {
+  assert.throws(() => new Writer({ compression: 'lzma' }), TypeError)
+
+  const file = Object.assign(new File(['x'], 'x.txt'), { compression: 'brotli' })
+  await assert.rejects(createZipBlob([file]), TypeError)
+})
+
+test('should create deflated ZIP files readable by system unzip tool', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-deflate-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+
+  try {
+    const content = 'Deflated by zip-go\n'.repeat(2000)
+    const zipPath = path.join(testDir, 'deflated.zip')
+    const stream = ReadableStream.from([
+      new File([content], 'log.txt'),
+      new VirtualLoremIpsumFile(1024 * 1024, 'lorem.txt')
+    ]).pipeThrough(new Writer({ compression: 'deflate' }))
+    await fs.writeFile(zipPath, stream)
+
+    const { execSync } = await import('node:child_process')
+    execSync(`unzip -tq "${zipPath}"`)
+    const extracted = execSync(`unzip -p "${zipPath}" log.txt`, { encoding: 'utf8' })
+    assert.equal(extracted, content, 'System unzip should inflate our output')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+// ============================================================================
+// ZIP64 extra field decoding
+// ============================================================================
+
+/**
+ * Hand craft a stored archive where the central directory headers saturate
+ * the given 32-bit fields and carry the real values in a ZIP64 extra field.
+ * Names can be given as raw bytes, and `extra` fields are added to both the
+ * local and central headers.
+ *
+ * @param {Array<{ name: string | Uint8Array, content: string, saturate?: string[], extra?: Uint8Array }>} specs
+ */
+function createZip64FieldArchive (specs) {
+  const encoder = new TextEncoder()
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const { name, content, saturate = [], extra: ownExtra = new Uint8Array(0) } of specs) {
+    const nameBuf = typeof name === 'string' ? encoder.encode(name) : name
+    const data = encoder.encode(content)
+    const crc = new Crc32()
+    crc.append(data)
+
+    const local = new Uint8Array(30 + nameBuf.length + ownExtra.length + data.length)
+    const ldv = new DataView(local.buffer)
+    ldv.setUint32(0, 0x04034b50, true)
+    ldv.setUint16(4, 45, true)
+    ldv.setUint32(14, crc.get(), true)
+    ldv.setUint32(18, data.length, true)
+    ldv.setUint32(22, data.length, true)
+    ldv.setUint16(26, nameBuf.length, true)
+    ldv.setUint16(28, ownExtra.length, true)
+    local.set(nameBuf, 30)
+    local.set(ownExtra, 30 + nameBuf.length)
+    local.set(data, 30 + nameBuf.length + ownExtra.length)
+
+    // Extra field values, in the order APPNOTE 4.5.3 mandates
+    const values = [
+      ['size', data.length, 8],
+      ['compressedSize', data.length, 8],
+      ['offset', offset, 8],
+      ['diskNumberStart', 0, 4]
+    ].filter(([field]) => saturate.includes(field))
+    const extraLength = values.reduce((sum, [, , len]) => sum + len, 0)
+    const zip64 = new DataView(new ArrayBuffer(values.length ? 4 + extraLength : 0))
+    if (values.length) {
+      zip64.setUint16(0, 0x0001, true)
+      zip64.setUint16(2, extraLength, true)
+    }
+    let i = 4
+    for (const [, value, len] of values) {
+      if (len === 8) zip64.setBigUint64(i, BigInt(value), true)
+      else zip64.setUint32(i, value, true)
+      i += len
+    }
+    const extra = new Uint8Array(zip64.byteLength + ownExtra.length)
+    extra.set(new Uint8Array(zip64.buffer))
+    extra.set(ownExtra, zip64.byteLength)
+
+    const central = new Uint8Array(46 + nameBuf.length + extra.length)
+    const cdv = new DataView(central.buffer)
+    const sat = (field, value, max = 0xffffffff) => saturate.includes(field) ? max : value
+    cdv.setUint32(0, 0x02014b50, true)
+    cdv.setUint16(4, 45, true)
+    cdv.setUint16(6, 45, true)
+    cdv.setUint16(14, 0x21, true) // 1980-01-01
+    cdv.setUint32(16, crc.get(), true)
+    cdv.setUint32(20, sat('compressedSize', data.length), true)
+    cdv.setUint32(24, sat('size', data.length), true)
+    cdv.setUint16(28, nameBuf.length, true)
+    cdv.setUint16(30, extra.length, true)
+    cdv.setUint16(34, sat('diskNumberStart', 0, 0xffff), true)
+    cdv.setUint32(42, sat('offset', offset), true)
+    central.set(nameBuf, 46)
+    central.set(extra, 46 + nameBuf.length)
+
+    locals.push(local)
+    centrals.push(central)
+    offset += local.length
+  }
+
+  const centralSize = centrals.reduce((sum, c) => sum + c.length, 0)
+  const eocdr = new DataView(new ArrayBuffer(22))
+  eocdr.setUint32(0, 0x06054b50, true)
+  eocdr.setUint16(8, specs.length, true)
+  eocdr.setUint16(10, specs.length, true)
+  eocdr.setUint32(12, centralSize, true)
+  eocdr.setUint32(16, offset, true)
+
+  return new Blob([...locals, ...centrals, eocdr])
+}
+
+test('Entry should decode 64-bit sizes, offset and disk from the ZIP64 extra field', async (t) => {
+  const zipFile = createZip64FieldArchive([
+    { name: 'first.txt', content: 'first entry', saturate: ['size', 'compressedSize', 'offset', 'diskNumberStart'] },
+    { name: 'second.txt', content: 'the second entry', saturate: ['offset'] },
+    { name: 'third.txt', content: 'third', saturate: ['compressedSize', 'offset'] }
+  ])
+  const entries = await readZipBlob(zipFile)
+
+  assert.equal(entries[0].size, 11)
+  assert.equal(entries[0].compressedSize, 11)
+  assert.equal(entries[0].offset, 0)
+  assert.equal(entries[0].diskNumberStart, 0)
+  assert.ok(entries[0].zip64)
+
+  // Only the offset is present, it must not be mistaken for the size
+  assert.equal(entries[1].size, 16)
+  assert.equal(entries[1].compressedSize, 16)
+  assert.equal(entries[1].offset, 30 + 9 + 11)
+  assert.ok(entries[1].zip64)
+
+  assert.equal(entries[2].size, 5)
+  assert.equal(entries[2].compressedSize, 5)
+  assert.equal(entries[2].offset, 30 + 9 + 11 + 30 + 10 + 16)
+
+  assert.equal(await entries[0].text(), 'first entry')
+  assert.equal(await entries[1].text(), 'the second entry')
+  assert.equal(await entries[2].text(), 'third')
+})
+
+test('Entry should decode ZIP64 values beyond 4 GiB', async (t) => {
+  const zipFile = createZip64FieldArchive([
+    { name: 'big.bin', content: 'x', saturate: ['size', 'compressedSize'] }
+  ])
+  const bytes = new Uint8Array(await zipFile.arrayBuffer())
+  // Patch the uncompressed size in the central directory's extra field
+  const extraStart = 30 + 7 + 1 + 46 + 7 + 4
+  new DataView(bytes.buffer).setBigUint64(extraStart, 5n * 1024n ** 3n, true)
+
+  const [entry] = await readZipBlob(new Blob([bytes]))
+  assert.equal(entry.size, 5 * 1024 ** 3)
+  assert.equal(entry.compressedSize, 1)
+})
+
+test('Entry size setter should switch to ZIP64 above 4 GiB', async (t) => {
+  const [entry] = await readZipBlob(await createZipBlob([new File(['abc'], 'a.txt')]))
+
+  entry.size = 6 * 1024 ** 3
+  assert.equal(entry.size, 6 * 1024 ** 3)
+  assert.ok(entry.zip64)
+
+  entry.size = 3
+  assert.equal(entry.size, 3)
+  assert.ok(!entry.zip64)
+})
+
+// ============================================================================
+// CRC-32 verification
+// ============================================================================
+
+/**
+ * Flip the bits of the crc32 recorded for the first entry in the central
+ * directory, leaving the data itself untouched.
+ *
+ * @param {Blob} zipFile
+ */
+async function corruptFirstCrc (zipFile) {
+  const bytes = new Uint8Array(await zipFile.arrayBuffer())
+  const dv = new DataView(bytes.buffer)
+  const centralDirOffset = dv.getUint32(bytes.length - 22 + 16, true)
+  dv.setUint32(centralDirOffset + 16, ~dv.getUint32(centralDirOffset + 16, true), true)
+  return new Blob([bytes])
+}
+
+test('Entry should reject stored data that does not match its crc32', async (t) => {
+  const zipFile = await corruptFirstCrc(await createZipBlob([
+    new File(['corrupted content'], 'stored.txt')
+  ]))
+  const [entry] = await readZipBlob(zipFile)
+
+  await assert.rejects(entry.bytes(), { name: 'ZipIntegrityError', code: 'ERR_ZIP_INTEGRITY' })
+  await assert.rejects(entry.text(), ZipIntegrityError)
+  await assert.rejects(entry.arrayBuffer(), ZipIntegrityError)
+  await assert.rejects(entry.file(), ZipIntegrityError)
+  await assert.rejects(entry.stream().pipeTo(new WritableStream()), ZipIntegrityError)
+})
+
+test('Entry should reject deflated data that does not match its crc32', async (t) => {
+  const content = 'deflated content '.repeat(100)
+  const zipFile = await corruptFirstCrc(await new Response(
+    ReadableStream.from([new File([content], 'deflated.txt')])
+      .pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob())
+  const [entry] = await readZipBlob(zipFile)
+
+  await assert.rejects(entry.bytes(), ZipIntegrityError)
+  await assert.rejects(entry.text(), ZipIntegrityError)
+  await assert.rejects(entry.file(), ZipIntegrityError)
+})
+
+test('Entry should reject data that does not match its size', async (t) => {
+  const [entry] = await readZipBlob(await createZipBlob([
+    new File(['twelve bytes'], 'size.txt')
+  ]))
+  entry.size = 5
+
+  const err = await entry.bytes().catch(err => err)
+  assert.ok(err instanceof ZipIntegrityError)
+  assert.equal(err.expected, 5)
+  assert.equal(err.actual, 12)
+  assert.equal(err.entry, 'size.txt')
+})
+
+test('Entry verification can be turned off per call or per archive', async (t) => {
+  const content = 'trust me'
+  const zipFile = await corruptFirstCrc(await createZipBlob([
+    new File([content], 'trusted.txt')
+  ]))
+
+  const [entry] = await readZipBlob(zipFile)
+  assert.equal(await entry.text({ verify: false }), content)
+  assert.equal(new TextDecoder().decode(await entry.bytes({ verify: false })), content)
+
+  for await (const entry of read(zipFile, { verify: false })) {
+    assert.equal(await entry.text(), content)
+    assert.equal(await (await entry.file()).text(), content)
+    // the per call option takes precedence
+    await assert.rejects(entry.text({ verify: true }), ZipIntegrityError)
+  }
+})
+
+test('Entry should verify valid deflated entries without errors', async (t) => {
+  const content = new VirtualLoremIpsumFile(256 * 1024, 'lorem.txt')
+  const zipFile = await new Response(
+    ReadableStream.from([content]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+  const [entry] = await readZipBlob(zipFile)
+
+  const bytes = await entry.bytes()
+  assert.equal(bytes.length, 256 * 1024)
+  const file = await entry.file()
+  assert.equal(file.size, 256 * 1024)
+})
+
+// ============================================================================
+// Streaming reader
+// ============================================================================
+
+/**
+ * Re-chunk a blob's stream into pieces of `size` bytes, to make sure headers
+ * and descriptors are found across chunk boundaries
+ *
+ * @param {Blob} blob
+ * @param {number} size
+ */
+async function chunkedStream (blob, size) {
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  const chunks = []
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.slice(i, i + size))
+  }
+  return ReadableStream.from(chunks)
+}
+
+test('readStream should read entries written by our own Writer', async (t) => {
+  const files = [
+    new File(['First file content'], 'file1.txt', { lastModified: new Date('2024-01-15T10:30:00').getTime() }),
+    new File([], 'empty.txt'),
+    new VirtualLoremIpsumFile(100 * 1024, 'folder/lorem.txt')
+  ]
+  const zipFile = await createZipBlob(files)
+
+  const names = []
+  for await (const entry of readStream(zipFile.stream())) {
+    names.push(entry.name)
+    if (entry.name === 'file1.txt') {
+      assert.equal(entry.lastModified, files[0].lastModified)
+      assert.equal(await entry.text(), 'First file content')
+      assert.equal(entry.size, 18, 'Size should be known once the data has been read')
+    } else if (entry.name === 'empty.txt') {
+      assert.equal((await entry.bytes()).length, 0)
+    } else {
+      const text = await entry.text()
+      assert.equal(text.length, 100 * 1024)
+      assert.ok(text.startsWith('Lorem ipsum'))
+    }
+  }
+
+  assert.deepEqual(names, ['file1.txt', 'empty.txt', 'folder/lorem.txt'])
+})
+
+test('readStream should find descriptors across chunk boundaries', async (t) => {
+  const content = 'streamed content '.repeat(50)
+  for (const compression of ['store', 'deflate']) {
+    const zipFile = await new Response(
+      ReadableStream.from([
+        new File([content], 'a.txt'),
+        new File([content], 'b.txt')
+      ]).pipeThrough(new Writer({ compression }))
+    ).blob()
+
+    for (const size of [1, 3, 7, 64]) {
+      const texts = []
+      for await (const entry of readStream(await chunkedStream(zipFile, size))) {
+        texts.push(await entry.text())
+      }
+      assert.deepEqual(texts, [content, content], `${compression} in chunks of ${size}`)
+    }
+  }
+})
+
+test('readStream should not be fooled by descriptor signatures in the data', async (t) => {
+  // A descriptor signature followed by sizes that don't match its position
+  const data = new Uint8Array(64)
+  data.set([0x50, 0x4b, 0x07, 0x08, 1, 2, 3, 4, 5, 0, 0, 0, 5, 0, 0, 0], 20)
+  const zipFile = await createZipBlob([new File([data], 'tricky.bin')])
+
+  for await (const entry of readStream(await chunkedStream(zipFile, 5))) {
+    assert.deepEqual(await entry.bytes(), data)
+  }
+})
+
+test('readStream should skip entries whose data is not read', async (t) => {
+  const zipFile = await createZipBlob([
+    new File(['skip me'], 'skipped.txt'),
+    new File(['read me'], 'read.txt')
+  ])
+
+  const texts = {}
+  for await (const entry of readStream(zipFile.stream())) {
+    if (entry.name === 'read.txt') texts[entry.name] = await entry.text()
+  }
+  assert.deepEqual(texts, { 'read.txt': 'read me' })
+})
+
+test('readStream entries can only be read once', async (t) => {
+  const zipFile = await createZipBlob([new File(['once'], 'once.txt')])
+
+  for await (const entry of readStream(zipFile.stream())) {
+    assert.equal(await entry.text(), 'once')
+    assert.throws(() => entry.stream(), TypeError)
+  }
+})
+
+test('readStream should verify the data against the descriptor', async (t) => {
+  const bytes = new Uint8Array(await (await createZipBlob([
+    new File(['some content'], 'crc.txt')
+  ])).arrayBuffer())
+  // corrupt the crc in the data descriptor that follows the data
+  const extraLength = new DataView(bytes.buffer).getUint16(28, true)
+  const descriptorOffset = 30 + 'crc.txt'.length + extraLength + 'some content'.length
+  bytes[descriptorOffset + 4] ^= 0xff
+
+  for await (const entry of readStream(new Blob([bytes]).stream())) {
+    await assert.rejects(entry.text(), ZipIntegrityError)
+  }
+
+  for await (const entry of readStream(new Blob([bytes]).stream(), { verify: false })) {
+    assert.equal(await entry.text(), 'some content')
+  }
+})
+
+test('readStream should reject input that is not a zip', async (t) => {
+  const entries = async blob => {
+    const names = []
+    for await (const entry of readStream(blob.stream())) names.push(entry.name)
+    return names
+  }
+
+  await assert.rejects(entries(new Blob(['just some plain text, no zip here'])), /File format is not recognized/)
+  await assert.rejects(entries(new Blob([])), /Unexpected end of zip stream/)
+
+  // garbage where the next local header or the central directory should be
+  const bytes = new Uint8Array(await (await createZipBlob([new File(['a'], 'a.txt')])).arrayBuffer())
+  const centralDirectory = new DataView(bytes.buffer).getUint32(bytes.length - 6, true)
+  await assert.rejects(entries(new Blob([bytes.subarray(0, centralDirectory), 'garbage'])), /File format is not recognized/)
+  // cut off after the first entry
+  await assert.rejects(entries(new Blob([bytes.subarray(0, centralDirectory)])), /Unexpected end of zip stream/)
+
+  // an archive without entries is just the end record
+  assert.deepEqual(await entries(await createZipBlob([])), [])
+})
+
+test('readStream should read archives created by system zip tool', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-stream-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+
+  try {
+    await fs.writeFile(path.join(testDir, 'test1.txt'), 'Hello from system zip! '.repeat(100))
+    await fs.writeFile(path.join(testDir, 'test2.txt'), 'Another test file')
+
+    const { execSync } = await import('node:child_process')
+    // Regular archive with sizes in the local headers
+    const zipPath = path.join(testDir, 'system.zip')
+    execSync(`cd "${testDir}" && zip -q "${zipPath}" test1.txt test2.txt`)
+    // Streamed to stdout, so zip has to use data descriptors
+    const streamed = execSync(`cd "${testDir}" && cat test1.txt | zip -q - -`)
+
+    const texts = []
+    for await (const entry of readStream((await openAsBlob(zipPath)).stream())) {
+      texts.push(await entry.text())
+    }
+    assert.deepEqual(texts, ['Hello from system zip! '.repeat(100), 'Another test file'])
+
+    for await (const entry of readStream(new Blob([streamed]).stream())) {
+      assert.ok(entry.dataDescriptor, 'zip should use a descriptor when streaming')
+      assert.equal(await entry.text(), 'Hello from system zip! '.repeat(100))
+    }
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+// ============================================================================
+// ZipCrypto decryption
+// ============================================================================
+
+test('should decrypt ZipCrypto archives created by system zip tool', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-crypto-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+
+  try {
+    const compressible = 'Secret partner data. '.repeat(200)
+    await fs.writeFile(path.join(testDir, 'deflated.txt'), compressible)
+    await fs.writeFile(path.join(testDir, 'tiny.txt'), 'hi')
+
+    const { execSync } = await import('node:child_process')
+    const zipPath = path.join(testDir, 'encrypted.zip')
+    execSync(`cd "${testDir}" && zip -q -P hunter2 "${zipPath}" deflated.txt tiny.txt`)
+    // Streamed output uses data descriptors, where the time is the check byte
+    const streamed = execSync(`cd "${testDir}" && cat deflated.txt | zip -q -P hunter2 - -`)
+
+    const zipBlob = await openAsBlob(zipPath)
+    const texts = {}
+    for await (const entry of read(zipBlob, { password: 'hunter2' })) {
+      assert.ok(entry.encrypted)
+      texts[entry.name] = await entry.text()
+      assert.equal(new TextDecoder().decode(await entry.bytes()), texts[entry.name])
+      assert.equal(await (await entry.file()).text(), texts[entry.name])
+    }
+    assert.deepEqual(texts, { 'deflated.txt': compressible, 'tiny.txt': 'hi' })
+
+    // The password can be given per entry as well
+    const entries = await readZipBlob(zipBlob)
+    const bytes = new TextEncoder().encode('hunter2')
+    assert.equal(await entries[1].text({ password: bytes }), 'hi')
+
+    const [streamedEntry] = await readZipBlob(new Blob([streamed]))
+    assert.ok(streamedEntry.bitFlag & 0x0008)
+    assert.equal(await streamedEntry.text({ password: 'hunter2' }), compressible)
+
+    for await (const entry of readStream(new Blob([streamed]).stream(), { password: 'hunter2' })) {
+      assert.equal(await entry.text(), compressible)
+    }
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('should report a wrong or missing ZipCrypto password', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-crypto-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+
+  try {
+    await fs.writeFile(path.join(testDir, 'secret.txt'), 'top secret')
+
+    const { execSync } = await import('node:child_process')
+    const zipPath = path.join(testDir, 'encrypted.zip')
+    execSync(`cd "${testDir}" && zip -q -P hunter2 "${zipPath}" secret.txt`)
+    const [entry] = await readZipBlob(await openAsBlob(zipPath))
+
+    await assert.rejects(entry.text(), {
+      name: 'ZipPasswordError',
+      code: 'ERR_ZIP_PASSWORD',
+      entry: 'secret.txt'
+    })
+    // The check byte rules out 255 of 256 wrong passwords, the crc the rest
+    const wrongPassword = err => err instanceof ZipPasswordError || err instanceof ZipIntegrityError
+    await assert.rejects(entry.bytes({ password: 'wrong' }), wrongPassword)
+    await assert.rejects(entry.stream({ password: 'nope' }).pipeTo(new WritableStream()), wrongPassword)
+
+    for await (const entry of readStream((await openAsBlob(zipPath)).stream())) {
+      await assert.rejects(entry.text(), ZipPasswordError)
+    }
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+// ============================================================================
+// WinZip AES encryption
+// ============================================================================
+
+test('should round-trip WinZip AES encrypted entries', async (t) => {
+  const content = 'Customer export. '.repeat(500)
+
+  for (const encryption of ['aes128', 'aes192', 'aes256']) {
+    for (const compression of ['store', 'deflate']) {
+      const zipFile = await new Response(
+        ReadableStream.from([new File([content], 'export.csv')])
+          .pipeThrough(new Writer({ password: 'p4ssw0rd', encryption, compression }))
+      ).blob()
+      const [entry] = await readZipBlob(zipFile)
+
+      assert.ok(entry.encrypted)
+      assert.equal(entry.encryption, encryption)
+      assert.equal(entry.compressionMethod, 99)
+      assert.equal(entry.crc32, 0, 'AE-2 should not reveal the crc')
+      assert.equal(entry.size, content.length)
+      assert.equal(await entry.text({ password: 'p4ssw0rd' }), content, `${encryption} ${compression}`)
+      assert.ok(!(await zipFile.text()).includes('Customer export'), 'Data should be encrypted')
+    }
+  }
+})
+
+test('Writer encryption can be set per entry', async (t) => {
+  const files = [
+    Object.assign(new File(['secret'], 'secret.txt'), { password: 'abc', encryption: 'aes128' }),
+    new File(['public'], 'public.txt'),
+    Object.assign(new File([], 'folder/'), { directory: true })
+  ]
+  const zipFile = await new Response(
+    ReadableStream.from(files).pipeThrough(new Writer())
+  ).blob()
+  const entries = await readZipBlob(zipFile)
+
+  assert.equal(entries[0].encryption, 'aes128')
+  assert.equal(await entries[0].text({ password: 'abc' }), 'secret')
+  assert.ok(!entries[1].encrypted)
+  assert.equal(await entries[1].text(), 'public')
+
+  const encryptedDir = await new Response(
+    ReadableStream.from([files[2]]).pipeThrough(new Writer({ password: 'abc' }))
+  ).blob()
+  const [dir] = await readZipBlob(encryptedDir)
+  assert.ok(!dir.encrypted, 'Directories have no data to encrypt')
+  assert.throws(() => new Writer({ password: 'abc', encryption: 'rot13' }), TypeError)
+})
+
+test('should report wrong AES passwords and tampered data', async (t) => {
+  const zipFile = await new Response(
+    ReadableStream.from([new File(['sensitive data'], 'data.txt')])
+      .pipeThrough(new Writer({ password: 'right' }))
+  ).blob()
+  const [entry] = await readZipBlob(zipFile)
+
+  await assert.rejects(entry.text(), ZipPasswordError)
+  // The 2 byte verifier rules out most wrong passwords, the auth code the rest
+  await assert.rejects(entry.text({ password: 'wrong' }), err =>
+    err instanceof ZipPasswordError || err instanceof ZipIntegrityError
+  )
+
+  // Flip a bit in the encrypted data, right after the salt and verifier
+  const bytes = new Uint8Array(await zipFile.arrayBuffer())
+  const extraLength = new DataView(bytes.buffer).getUint16(28, true)
+  bytes[30 + 'data.txt'.length + extraLength + 16 + 2] ^= 1
+  const [tampered] = await readZipBlob(new Blob([bytes]))
+  await assert.rejects(tampered.text({ password: 'right' }), {
+    name: 'ZipIntegrityError',
+    message: /Authentication code/
+  })
+})
+
+test('readStream should decrypt WinZip AES entries', async (t) => {
+  const content = 'streamed secret '.repeat(100)
+  const zipFile = await new Response(
+    ReadableStream.from([new File([content], 'a.txt'), new File(['b'], 'b.txt')])
+      .pipeThrough(new Writer({ password: 'pw', compression: 'deflate' }))
+  ).blob()
+
+  const texts = []
+  for await (const entry of readStream(await chunkedStream(zipFile, 7), { password: 'pw' })) {
+    assert.equal(entry.encryption, 'aes256')
+    texts.push(await entry.text())
+  }
+  assert.deepEqual(texts, [content, 'b'])
+})
+
+test('WinZip AES output should match an independent implementation', async (t) => {
+  const { pbkdf2Sync, createCipheriv, createHmac } = await import('node:crypto')
+  const content = new TextEncoder().encode('Verified against node:crypto. '.repeat(20))
+  const zipFile = await new Response(
+    ReadableStream.from([new File([content], 'x.bin')])
+      .pipeThrough(new Writer({ password: 'secret', encryption: 'aes256' }))
+  ).blob()
+  const [entry] = await readZipBlob(zipFile)
+  const raw = new Uint8Array(await (await entry.rawBytes()).arrayBuffer())
+
+  const salt = raw.subarray(0, 16)
+  const derived = pbkdf2Sync('secret', salt, 1000, 66, 'sha1')
+  assert.deepEqual(raw.subarray(16, 18), new Uint8Array(derived.subarray(64)), 'Password verifier')
+
+  const ciphertext = raw.subarray(18, raw.length - 10)
+  const mac = createHmac('sha1', derived.subarray(32, 64)).update(ciphertext).digest()
+  assert.deepEqual(raw.subarray(raw.length - 10), new Uint8Array(mac.subarray(0, 10)), 'Authentication code')
+
+  // CTR mode with a little endian counter starting at 1
+  const ecb = createCipheriv('aes-256-ecb', derived.subarray(0, 32), null)
+  ecb.setAutoPadding(false)
+  const plain = new Uint8Array(ciphertext.length)
+  for (let i = 0; i < ciphertext.length; i += 16) {
+    const counter = Buffer.alloc(16)
+    counter.writeUInt32LE(i / 16 + 1)
+    const keystream = ecb.update(counter)
+    for (let j = 0; j < 16 && i + j < ciphertext.length; j++) {
+      plain[i + j] = ciphertext[i + j] ^ keystream[j]
+    }
+  }
+  assert.deepEqual(plain, content)
+})
+
+// ============================================================================
+// Raw copy of entries
+// ============================================================================
+
+test('Writer should copy entries from another archive without recompressing', async (t) => {
+  const content = 'Copied as is. '.repeat(500)
+  const lastModified = new Date(2020, 5, 15, 12, 30, 10).getTime()
+  const source = await new Response(
+    ReadableStream.from([
+      Object.assign(new File([content], 'a.txt', { lastModified }), { comment: 'keep me' }),
+      new File(['stored'], 'b.txt', { lastModified }),
+      { name: 'dir', directory: true, lastModified }
+    ]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+  const originals = await readZipBlob(source)
+
+  async function * entries () {
+    yield * originals
+    yield new File(['new'], 'c.txt')
+  }
+  const copy = await new Response(
+    ReadableStream.from(entries()).pipeThrough(new Writer())
+  ).blob()
+  const copies = await readZipBlob(copy)
+
+  assert.deepEqual(copies.map(e => e.name), ['a.txt', 'b.txt', 'dir/', 'c.txt'])
+  for (const [i, original] of originals.entries()) {
+    const entry = copies[i]
+    assert.equal(entry.crc32, original.crc32)
+    assert.equal(entry.compressionMethod, original.compressionMethod)
+    assert.equal(entry.compressedSize, original.compressedSize)
+    assert.equal(entry.size, original.size)
+    assert.equal(entry.lastModified, original.lastModified)
+    assert.equal(entry.comment, original.comment)
+    assert.equal(entry.directory, original.directory)
+    // sizes are known, so there's no data descriptor
+    assert.equal(entry.bitFlag & 0x0008, 0)
+    assert.deepEqual(
+      await (await entry.rawBytes()).bytes(),
+      await (await original.rawBytes()).bytes()
+    )
+  }
+  assert.equal(copies[0].compressionMethod, 8)
+  assert.equal(copies[0].comment, 'keep me')
+  assert.equal(await copies[0].text(), content)
+  assert.equal(await copies[1].text(), 'stored')
+  assert.equal(await copies[3].text(), 'new')
+
+  const entriesFromStream = []
+  for await (const entry of readStream(copy.stream())) {
+    entriesFromStream.push([entry.name, await entry.text()])
+  }
+  assert.deepEqual(entriesFromStream, [
+    ['a.txt', content], ['b.txt', 'stored'], ['dir/', ''], ['c.txt', 'new']
+  ])
+})
+
+test('Writer should copy entries from system zip with their extra fields', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-copy-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+
+  try {
+    const compressible = 'Secret partner data. '.repeat(200)
+    await fs.writeFile(path.join(testDir, 'plain.txt'), compressible)
+    const { execSync } = await import('node:child_process')
+    const zipPath = path.join(testDir, 'source.zip')
+    execSync(`cd "${testDir}" && zip -q "${zipPath}" plain.txt`)
+    // ZipCrypto with a data descriptor, where the dos time is the check byte
+    const streamed = execSync(`cd "${testDir}" && cat plain.txt | zip -q -P hunter2 - -`)
+
+    const entries = [
+      ...await readZipBlob(await openAsBlob(zipPath)),
+      ...await readZipBlob(new Blob([streamed]))
+    ]
+    entries[1].name = 'encrypted.txt'
+    const copyPath = path.join(testDir, 'copy.zip')
+    await fs.writeFile(copyPath, ReadableStream.from(entries).pipeThrough(new Writer()))
+
+    const [plain, encrypted] = await readZipBlob(await openAsBlob(copyPath))
+    const hasExtraField = (entry, id) => {
+      const dv = new DataView(entry.extraField.buffer)
+      for (let i = 0; i < dv.byteLength; i += 4 + dv.getUint16(i + 2, true)) {
+        if (dv.getUint16(i, true) === id) return true
+      }
+      return false
+    }
+    assert.ok(hasExtraField(entries[0], 0x5455), 'zip adds an extended timestamp')
+    assert.ok(hasExtraField(plain, 0x5455), 'Extended timestamp should be kept')
+    assert.equal(await plain.text(), compressible)
+    assert.ok(encrypted.encrypted)
+    assert.ok(encrypted.bitFlag & 0x0008, 'ZipCrypto entries keep their data descriptor')
+    assert.equal(await encrypted.text({ password: 'hunter2' }), compressible)
+
+    execSync(`unzip -q -t -P hunter2 "${copyPath}"`)
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('Writer should keep the dos time of ZipCrypto entries from another timezone', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-copy-tz-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  const { TZ } = process.env
+
+  try {
+    await fs.writeFile(path.join(testDir, 'a.txt'), 'secret')
+    const { execSync } = await import('node:child_process')
+    // streamed out with a data descriptor, the dos time is the check byte
+    const source = new Blob([execSync(`cd "${testDir}" && zip -q -P pw - a.txt`, { env: { ...process.env, TZ: 'UTC' } })])
+    const [original] = await readZipBlob(source)
+
+    process.env.TZ = 'Asia/Tokyo'
+    const copyPath = path.join(testDir, 'copy.zip')
+    await fs.writeFile(copyPath, ReadableStream.from(await readZipBlob(source)).pipeThrough(new Writer()))
+    const editedPath = path.join(testDir, 'edited.zip')
+    await fs.writeFile(editedPath, new Editor(source).rename('a.txt', 'b.txt').stream())
+
+    for (const file of [copyPath, editedPath]) {
+      const [entry] = await readZipBlob(await openAsBlob(file))
+      assert.equal(entry.dosDateTime, original.dosDateTime)
+      assert.equal(await entry.text({ password: 'pw' }), 'secret')
+      execSync(`unzip -q -t -P pw "${file}"`)
+    }
+
+    // unless the time is changed on purpose
+    const plain = await createZipBlob([new File(['a'], 'a.txt', { lastModified: Date.UTC(2023, 0, 1) })])
+    const lastModified = Date.UTC(2020, 0, 1, 12, 0, 0)
+    const changed = await new Response(new Editor(plain).setLastModified('a.txt', lastModified).stream()).blob()
+    const [entry] = await readZipBlob(changed)
+    assert.equal(entry.lastModified, lastModified)
+    assert.notEqual(entry.dosDateTime, (await readZipBlob(plain))[0].dosDateTime)
+  } finally {
+    if (TZ === undefined) delete process.env.TZ
+    else process.env.TZ = TZ
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('Writer should copy WinZip AES entries', async (t) => {
+  const source = await new Response(
+    ReadableStream.from([new File(['top secret'], 'secret.txt')])
+      .pipeThrough(new Writer({ password: 'pw', encryption: 'aes128' }))
+  ).blob()
+  const copy = await new Response(
+    ReadableStream.from(await readZipBlob(source)).pipeThrough(new Writer())
+  ).blob()
+  const [entry] = await readZipBlob(copy)
+  assert.equal(entry.encryption, 'aes128')
+  assert.equal(entry.compressionMethod, 99)
+  assert.equal(await entry.text({ password: 'pw' }), 'top secret')
+})
+
+test('Writer should accept raw descriptors', async (t) => {
+  const content = new TextEncoder().encode('raw descriptor '.repeat(100))
+  const compressed = await new Response(
+    new Blob([content]).stream().pipeThrough(new CompressionStream('deflate-raw'))
+  ).blob()
+  const crc = new Crc32()
+  crc.append(content)
+  const lastModified = new Date(2021, 0, 1, 8, 0, 0).getTime()
+
+  const zipFile = await new Response(
+    ReadableStream.from([{
+      raw: true,
+      name: 'data.txt',
+      crc32: crc.get(),
+      compressedSize: compressed.size,
+      size: content.length,
+      compressionMethod: 8,
+      lastModified,
+      stream: () => compressed.stream()
+    }]).pipeThrough(new Writer())
+  ).blob()
+
+  const [entry] = await readZipBlob(zipFile)
+  assert.equal(entry.compressedSize, compressed.size)
+  assert.equal(entry.lastModified, lastModified)
+  assert.deepEqual(await entry.bytes(), content)
+
+  const wrongSize = ReadableStream.from([{
+    raw: true,
+    name: 'data.txt',
+    crc32: crc.get(),
+    compressedSize: compressed.size + 1,
+    size: content.length,
+    compressionMethod: 8,
+    stream: () => compressed.stream()
+  }]).pipeThrough(new Writer())
+  await assert.rejects(new Response(wrongSize).blob(), ZipIntegrityError)
+})
+
+// ============================================================================
+// Archive editing
+// ============================================================================
+
+test('Editor should delete, rename, re-comment and add entries', async (t) => {
+  const lastModified = new Date(2020, 5, 15, 12, 30, 10).getTime()
+  const source = await new Response(
+    ReadableStream.from([
+      new File(['Lorem ipsum '.repeat(100)], 'a.txt', { lastModified }),
+      new File(['remove me'], 'b.txt', { lastModified }),
+      new File(['c'], 'c.txt', { lastModified }),
+      { name: 'docs', directory: true, lastModified }
+    ]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+  const [original] = await readZipBlob(source)
+
+  const newTime = new Date(2024, 0, 2, 3, 4, 6).getTime()
+  const edited = await new Response(
+    new Editor(source, { comment: 'edited' })
+      .delete('b.txt')
+      .rename('a.txt', 'docs/a.txt')
+      .setComment('docs/a.txt', 'moved')
+      .setLastModified('c.txt', newTime)
+      .rename('docs', 'documents')
+      .add(new File(['d'], 'd.txt'))
+      .add(new File(['new c'], 'c.txt', { lastModified }))
+      .stream()
+  ).blob()
+  const entries = await readZipBlob(edited)
+
+  assert.deepEqual(entries.map(e => e.name), ['documents/a.txt', 'c.txt', 'documents/', 'd.txt'])
+  const [a, c, docs, d] = entries
+  assert.equal(a.comment, 'moved')
+  assert.equal(a.lastModified, lastModified)
+  assert.equal(a.compressionMethod, 8)
+  assert.equal(a.crc32, original.crc32)
+  assert.deepEqual(
+    await (await a.rawBytes()).bytes(),
+    await (await original.rawBytes()).bytes(),
+    'Untouched data should be copied as is'
+  )
+  assert.equal(await a.text(), 'Lorem ipsum '.repeat(100))
+  // added after the timestamp change, so it replaced the entry
+  assert.equal(await c.text(), 'new c')
+  assert.equal(c.lastModified, lastModified)
+  assert.ok(docs.directory)
+  assert.equal(await d.text(), 'd')
+
+  const bytes = new Uint8Array(await edited.arrayBuffer())
+  const comment = new TextDecoder().decode(bytes.subarray(-'edited'.length))
+  assert.equal(comment, 'edited')
+})
+
+test('Editor changes should apply to added entries', async (t) => {
+  const source = await createZipBlob([new File(['a'], 'a.txt')])
+  const lastModified = new Date(2022, 1, 3, 4, 5, 6).getTime()
+  const edited = await new Response(
+    new Editor(source)
+      .add(new File(['b'], 'b.txt'))
+      .rename('b.txt', 'renamed.txt')
+      .setLastModified('renamed.txt', lastModified)
+      .setComment('renamed.txt', 'added')
+      .stream()
+  ).blob()
+  const [, entry] = await readZipBlob(edited)
+  assert.equal(entry.name, 'renamed.txt')
+  assert.equal(entry.lastModified, lastModified)
+  assert.equal(entry.comment, 'added')
+  assert.equal(await entry.text(), 'b')
+})
+
+test('Editor should rename and delete directories with everything in them', async (t) => {
+  const source = await createZipBlob([
+    { name: 'docs', directory: true },
+    new File(['a'], 'docs/a.txt'),
+    new File(['b'], 'docs/deep/b.txt'),
+    new File(['not in docs'], 'docs.txt'),
+    { name: 'other', directory: true }
+  ])
+
+  const renamed = await readZipBlob(await new Response(new Editor(source).rename('docs', 'documents').stream()).blob())
+  assert.deepEqual(renamed.map(e => e.name), ['documents/', 'documents/a.txt', 'documents/deep/b.txt', 'docs.txt', 'other/'])
+  assert.equal(await renamed[2].text(), 'b')
+
+  const deleted = await readZipBlob(await new Response(new Editor(source).delete('docs').stream()).blob())
+  assert.deepEqual(deleted.map(e => e.name), ['docs.txt', 'other/'])
+
+  // clashes with anything already there
+  await assert.rejects(
+    new Response(new Editor(source).add(new File(['x'], 'moved/a.txt')).rename('docs', 'moved').stream()).blob(),
+    /Entry moved\/a.txt already exists/
+  )
+})
+
+test('Editor should error on unknown or clashing names', async (t) => {
+  const source = await createZipBlob([new File(['a'], 'a.txt'), new File(['b'], 'b.txt')])
+  await assert.rejects(
+    new Response(new Editor(source).delete('missing.txt').stream()).blob(),
+    /No entry named missing.txt/
+  )
+  await assert.rejects(
+    new Response(new Editor(source).rename('a.txt', 'b.txt').stream()).blob(),
+    /already exists/
+  )
+})
+
+// ============================================================================
+// Random access archive
+// ============================================================================
+
+test('openArchive should give random access to entries by name', async (t) => {
+  const zipFile = await createZipBlob([
+    new File(['readme'], 'README.md'),
+    new File(['a'], 'docs/a.md'),
+    new File(['b'], 'docs/deep/b.md'),
+    new File(['c'], 'src/c.js'),
+    { name: 'docs', directory: true }
+  ])
+  const archive = await openArchive(zipFile)
+
+  assert.equal(archive.size, 5)
+  assert.equal(archive.count, 5)
+  assert.equal(archive.zip64, false)
+  assert.equal(archive.comment, '')
+  assert.deepEqual([...archive].map(e => e.name), archive.entries.map(e => e.name))
+
+  assert.ok(archive.has('docs/deep/b.md'))
+  assert.ok(!archive.has('missing.md'))
+  assert.equal(archive.get('missing.md'), undefined)
+  assert.equal(await archive.get('docs/deep/b.md').text(), 'b')
+  assert.ok(archive.get('docs').directory, 'Directories can be looked up without the slash')
+
+  const names = pattern => archive.filter(pattern).map(e => e.name)
+  assert.deepEqual(names('*.md'), ['README.md'])
+  assert.deepEqual(names('docs/**/*.md'), ['docs/a.md', 'docs/deep/b.md'])
+  assert.deepEqual(names('**/*.{md,js}'), ['README.md', 'docs/a.md', 'docs/deep/b.md', 'src/c.js'])
+  assert.deepEqual(names(/^src\//), ['src/c.js'])
+  assert.deepEqual(names(entry => entry.directory), ['docs/'])
+})
+
+test('openArchive should read the archive comment and zip64 records', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-archive-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+
+  try {
+    await fs.writeFile(path.join(testDir, 'a.txt'), 'hi')
+    const { execSync } = await import('node:child_process')
+    // -fz forces zip64 records, -z reads the archive comment from stdin
+    const zipPath = path.join(testDir, 'zip64.zip')
+    execSync(`cd "${testDir}" && printf provenance | zip -q -fz -z "${zipPath}" a.txt`)
+
+    const archive = await openArchive(await openAsBlob(zipPath))
+    assert.equal(archive.zip64, true)
+    assert.equal(archive.comment, 'provenance')
+    assert.equal(await archive.get('a.txt').text(), 'hi')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+
+  // A comment containing the end of central directory record signature
+  const fake = 'signature PK\x05\x06 in the comment, near the end'
+  const zipFile = await new Response(
+    ReadableStream.from([new File(['x'], 'x.txt')])
+      .pipeThrough(new Writer({ comment: fake }))
+  ).blob()
+  const archive = await openArchive(zipFile)
+  assert.equal(archive.comment, fake)
+  assert.equal(await archive.get('x.txt').text(), 'x')
+
+  // bytes appended after the record, with and without a comment
+  const padded = await openArchive(new Blob([zipFile, new Uint8Array(8)]))
+  assert.equal(padded.comment, fake)
+  assert.equal(await padded.get('x.txt').text(), 'x')
+  const plain = await createZipBlob([new File(['y'], 'y.txt')])
+  const trailing = await openArchive(new Blob([plain, 'trailing']))
+  assert.equal(trailing.comment, '')
+  assert.equal(await trailing.get('y.txt').text(), 'y')
+})
+
+test('globToRegExp should translate glob syntax', async (t) => {
+  const cases = [
+    ['*.txt', 'a.txt', true],
+    ['*.txt', 'dir/a.txt', false],
+    ['**/*.txt', 'a.txt', true],
+    ['**/*.txt', 'a/b/c.txt', true],
+    ['dir/**', 'dir/', true],
+    ['dir/**', 'dir/a/b', true],
+    ['dir/**', 'other/a', false],
+    ['file?.js', 'file1.js', true],
+    ['file?.js', 'file/.js', false],
+    ['[abc].js', 'b.js', true],
+    ['[!abc].js', 'b.js', false],
+    ['[a-c].js', 'c.js', true],
+    ['{a,b}/*.md', 'b/x.md', true],
+    ['{a,b}/*.md', 'c/x.md', false],
+    ['a+b(1).txt', 'a+b(1).txt', true],
+    ['\\*.txt', '*.txt', true],
+    ['\\*.txt', 'a.txt', false]
+  ]
+  for (const [glob, name, expected] of cases) {
+    assert.equal(globToRegExp(glob).test(name), expected, `${glob} ~ ${name}`)
+  }
+  assert.throws(() => globToRegExp('{a,b'), SyntaxError)
+})
+
+// ============================================================================
+// Archive comment
+// ============================================================================
+
+test('Writer should write the archive comment', async (t) => {
+  const comment = 'Built by CI · commit abc123\nbranch: main'
+  const zipFile = await new Response(
+    ReadableStream.from([new File(['a'], 'a.txt')])
+      .pipeThrough(new Writer({ comment }))
+  ).blob()
+
+  assert.equal(await readComment(zipFile), comment)
+  assert.equal((await openArchive(zipFile)).comment, comment)
+  // even when the bytes could be read as CP437
+  assert.equal(await readComment(zipFile, { encoding: 'cp437' }), comment)
+  assert.equal(await readComment(await createZipBlob([])), '')
+
+  const testDir = path.join(os.tmpdir(), `zip-comment-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    const zipPath = path.join(testDir, 'comment.zip')
+    await fs.writeFile(zipPath, zipFile.stream())
+    const { execSync } = await import('node:child_process')
+    const output = execSync(`unzip -z "${zipPath}"`, { encoding: 'utf8' })
+    assert.ok(output.includes('branch: main'))
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('Writer should handle comments up to 65535 bytes', async (t) => {
+  const longest = 'é'.repeat(32767) + 'x' // 65535 bytes encoded
+  const zipFile = await new Response(
+    ReadableStream.from([new File(['a'], 'a.txt')])
+      .pipeThrough(new Writer({ comment: longest }))
+  ).blob()
+  assert.equal(await readComment(zipFile), longest)
+  const [entry] = await readZipBlob(zipFile)
+  assert.equal(await entry.text(), 'a')
+
+  assert.throws(() => new Writer({ comment: 'é'.repeat(32768) }), RangeError)
+  const tooLong = ReadableStream.from([
+    Object.assign(new File(['a'], 'a.txt'), { comment: 'x'.repeat(65536) })
+  ]).pipeThrough(new Writer())
+  await assert.rejects(new Response(tooLong).blob(), RangeError)
+})
+
+test('Editor should keep or replace the archive comment', async (t) => {
+  const source = await new Response(
+    ReadableStream.from([new File(['a'], 'a.txt')])
+      .pipeThrough(new Writer({ comment: 'original' }))
+  ).blob()
+
+  const kept = await new Response(new Editor(source).delete('a.txt').stream()).blob()
+  assert.equal(await readComment(kept), 'original')
+
+  const editor = new Editor(source)
+  editor.comment = 'replaced'
+  assert.equal(await readComment(await new Response(editor.stream()).blob()), 'replaced')
+})
+
+test('The archive comment should be decoded like names without bit 11 unless it is utf-8', async (t) => {
+  for (const comment of ['Built by café ✓', 'naïve', '日本語']) {
+    const zipFile = await new Response(
+      ReadableStream.from([new File(['a'], 'a.txt')])
+        .pipeThrough(new Writer({ comment, encoding: 'cp437' }))
+    ).blob()
+    assert.equal(await readComment(zipFile), comment)
+    assert.equal((await openArchive(zipFile)).comment, comment)
+    const edited = await new Response(new Editor(zipFile).delete('a.txt').stream()).blob()
+    assert.equal(await readComment(edited), comment)
+  }
+
+  // 'Grüße' in CP437 and '日本' in Shift_JIS
+  const cp437 = await new Response(
+    ReadableStream.from([new File(['a'], 'a.txt')])
+      .pipeThrough(new Writer({ comment: new Uint8Array([0x47, 0x72, 0x81, 0xe1, 0x65]) }))
+  ).blob()
+  assert.equal(await readComment(cp437), 'Grüße')
+  assert.equal((await openArchive(cp437)).comment, 'Grüße')
+
+  const rawComment = new Uint8Array([0x93, 0xfa, 0x96, 0x7b])
+  const sjis = await new Response(
+    ReadableStream.from([new File(['a'], 'a.txt')])
+      .pipeThrough(new Writer({ comment: rawComment }))
+  ).blob()
+  assert.equal(await readComment(sjis, { encoding: 'shift_jis' }), '日本')
+  const archive = await openArchive(sjis, { encoding: 'shift_jis' })
+  assert.equal(archive.comment, '日本')
+  assert.deepEqual(archive.rawComment, rawComment)
+
+  // the Editor keeps it as it's stored
+  const edited = await new Response(new Editor(sjis).delete('a.txt').stream()).blob()
+  assert.deepEqual((await openArchive(edited)).rawComment, rawComment)
+})
+
+// ============================================================================
+// Extended timestamps
+// ============================================================================
+
+test('Writer should write extended timestamps in UTC', async (t) => {
+  // not on an even second, which dos time can't represent
+  const lastModified = Date.UTC(2023, 6, 14, 23, 59, 59)
+  const zipFile = await createZipBlob([new File(['a'], 'a.txt', { lastModified })])
+  const [entry] = await readZipBlob(zipFile)
+  assert.equal(entry.lastModified, lastModified)
+  assert.equal(entry.lastAccessed, undefined)
+  assert.equal(entry.created, undefined)
+
+  for await (const streamed of readStream(zipFile.stream())) {
+    assert.equal(streamed.lastModified, lastModified)
+  }
+
+  // unzip reads the extended timestamp back as the same UTC time
+  const testDir = path.join(os.tmpdir(), `zip-time-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    const zipPath = path.join(testDir, 'time.zip')
+    await fs.writeFile(zipPath, zipFile.stream())
+    const { execSync } = await import('node:child_process')
+    execSync(`unzip -q "${zipPath}" -d "${testDir}/out"`, { env: { ...process.env, TZ: 'Asia/Tokyo' } })
+    const stat = await fs.stat(path.join(testDir, 'out', 'a.txt'))
+    assert.equal(stat.mtimeMs, lastModified)
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('Writer should write NTFS timestamps down to the millisecond', async (t) => {
+  const lastModified = Date.UTC(2023, 6, 14, 12, 0, 0, 123)
+  const created = Date.UTC(2020, 0, 1, 0, 0, 0, 1)
+  const zipFile = await new Response(
+    ReadableStream.from([
+      Object.assign(new File(['a'], 'a.txt', { lastModified }), { created }),
+      // outside of what dos time and the extended timestamp can hold
+      new File(['b'], 'b.txt', { lastModified: Date.UTC(1960, 1, 2, 3, 4, 5, 6) })
+    ]).pipeThrough(new Writer({ ntfsTimes: true }))
+  ).blob()
+
+  const [a, b] = await readZipBlob(zipFile)
+  assert.equal(a.lastModified, lastModified)
+  assert.equal(a.lastAccessed, lastModified)
+  assert.equal(a.created, created)
+  assert.equal(b.lastModified, Date.UTC(1960, 1, 2, 3, 4, 5, 6))
+
+  const streamed = []
+  for await (const entry of readStream(zipFile.stream())) {
+    streamed.push([entry.lastModified, entry.created])
+  }
+  assert.deepEqual(streamed, [[lastModified, created], [b.lastModified, b.lastModified]])
+})
+
+test('Entry should prefer NTFS over extended timestamps over dos time', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-time-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    const filePath = path.join(testDir, 'a.txt')
+    await fs.writeFile(filePath, 'a')
+    const mtime = new Date(Date.UTC(2021, 2, 3, 4, 5, 7))
+    await fs.utimes(filePath, mtime, mtime)
+    const { execSync } = await import('node:child_process')
+    const zipPath = path.join(testDir, 'a.zip')
+    execSync(`cd "${testDir}" && zip -q "${zipPath}" a.txt`)
+
+    const [entry] = await readZipBlob(await openAsBlob(zipPath))
+    // from the extended timestamp, dos time would round down to an even second
+    assert.equal(entry.lastModified, mtime.getTime())
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('Entry lastModified setter should update the timestamp extra fields', async (t) => {
+  const zipFile = await new Response(
+    ReadableStream.from([new File(['a'], 'a.txt', { lastModified: 0 })])
+      .pipeThrough(new Writer({ ntfsTimes: true }))
+  ).blob()
+  const [entry] = await readZipBlob(zipFile)
+  const lastModified = Date.UTC(2024, 1, 29, 12, 34, 56, 789)
+  entry.lastModified = lastModified
+  assert.equal(entry.lastModified, lastModified)
+
+  const edited = await new Response(ReadableStream.from([entry]).pipeThrough(new Writer())).blob()
+  const [copy] = await readZipBlob(edited)
+  assert.equal(copy.lastModified, lastModified)
+})
+
+// ============================================================================
+// Unix permissions and symlinks
+// ============================================================================
+
+test('Writer should write unix modes and symlinks that unzip restores', async (t) => {
+  const zipFile = await createZipBlob([
+    Object.assign(new File(['#!/bin/sh\necho hi\n'], 'bin/run.sh'), { mode: 0o755 }),
+    Object.assign(new File(['secret'], 'private.txt'), { mode: 0o600 }),
+    { name: 'link', linkTarget: 'bin/run.sh' },
+    { name: 'bin', directory: true, mode: 0o750 },
+    new File(['plain'], 'plain.txt')
+  ])
+
+  const archive = await openArchive(zipFile)
+  const run = archive.get('bin/run.sh')
+  assert.equal(run.mode, 0o100755)
+  assert.ok(run.isExecutable)
+  assert.ok(!run.isSymlink)
+  assert.equal(await run.linkTarget(), undefined)
+  assert.equal(archive.get('private.txt').mode, 0o100600)
+  assert.ok(!archive.get('private.txt').isExecutable)
+  const link = archive.get('link')
+  assert.ok(link.isSymlink)
+  assert.equal(link.mode, 0o120777)
+  assert.equal(link.compressionMethod, 0)
+  assert.equal(await link.linkTarget(), 'bin/run.sh')
+  assert.equal(archive.get('bin').mode, 0o40750)
+  assert.ok(archive.get('bin').directory)
+  // without a mode it's still written as a msdos entry
+  assert.equal(archive.get('plain.txt').mode, undefined)
+  assert.equal(archive.get('plain.txt').versionMadeBy >> 8, 0)
+
+  const testDir = path.join(os.tmpdir(), `zip-mode-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    const zipPath = path.join(testDir, 'modes.zip')
+    await fs.writeFile(zipPath, zipFile.stream())
+    const { execSync } = await import('node:child_process')
+    const out = path.join(testDir, 'out')
+    execSync(`unzip -q "${zipPath}" -d "${out}"`)
+    assert.equal((await fs.stat(path.join(out, 'bin/run.sh'))).mode & 0o777, 0o755)
+    assert.equal((await fs.stat(path.join(out, 'private.txt'))).mode & 0o777, 0o600)
+    assert.ok((await fs.lstat(path.join(out, 'link'))).isSymbolicLink())
+    assert.equal(await fs.readlink(path.join(out, 'link')), 'bin/run.sh')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('Entry should read modes and symlinks from system zip archives', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-mode-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    await fs.writeFile(path.join(testDir, 'tool'), 'binary', { mode: 0o755 })
+    await fs.symlink('tool', path.join(testDir, 'alias'))
+    const { execSync } = await import('node:child_process')
+    const zipPath = path.join(testDir, 'system.zip')
+    // -y stores symlinks as links instead of following them
+    execSync(`cd "${testDir}" && zip -q -y "${zipPath}" tool alias`)
+
+    const archive = await openArchive(await openAsBlob(zipPath))
+    assert.equal(archive.get('tool').mode & 0o777, 0o755)
+    assert.ok(archive.get('tool').isExecutable)
+    assert.ok(archive.get('alias').isSymlink)
+    assert.equal(await archive.get('alias').linkTarget(), 'tool')
+
+    // copied entries keep their attributes
+    const copy = await createZipBlob(archive.entries)
+    const copied = await openArchive(copy)
+    assert.equal(copied.get('tool').mode, archive.get('tool').mode)
+    assert.equal(copied.get('tool').versionMadeBy >> 8, 3)
+    assert.equal(await copied.get('alias').linkTarget(), 'tool')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+// ============================================================================
+// Extracting to a directory
+// ============================================================================
+
+test('extract should write entries with their times and modes', async (t) => {
+  const lastModified = Date.UTC(2022, 3, 4, 5, 6, 7)
+  const zipFile = await new Response(
+    ReadableStream.from([
+      { name: 'bin', directory: true, lastModified },
+      Object.assign(new File(['#!/bin/sh\n'], 'bin/run.sh', { lastModified }), { mode: 0o755 }),
+      new File(['Lorem ipsum '.repeat(100)], 'docs/deep/readme.txt', { lastModified }),
+      { name: 'run', linkTarget: 'bin/run.sh', lastModified },
+      { name: './', directory: true }
+    ]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+
+  const dest = path.join(os.tmpdir(), `zip-extract-test-${randomUUID()}`)
+  try {
+    const result = await extract(zipFile, dest)
+    assert.deepEqual(result.map(r => [r.name, r.type]), [
+      ['bin/', 'directory'],
+      ['bin/run.sh', 'file'],
+      ['docs/deep/readme.txt', 'file'],
+      ['run', 'symlink']
+    ])
+    assert.equal(result[2].path, path.join(dest, 'docs', 'deep', 'readme.txt'))
+
+    assert.equal(await fs.readFile(path.join(dest, 'docs/deep/readme.txt'), 'utf8'), 'Lorem ipsum '.repeat(100))
+    const run = await fs.stat(path.join(dest, 'bin/run.sh'))
+    assert.equal(run.mode & 0o777, 0o755)
+    assert.equal(run.mtimeMs, lastModified)
+    assert.equal((await fs.stat(path.join(dest, 'bin'))).mtimeMs, lastModified)
+    assert.equal(await fs.readlink(path.join(dest, 'run')), 'bin/run.sh')
+    assert.equal((await fs.lstat(path.join(dest, 'run'))).mtimeMs, lastModified)
+  } finally {
+    await fs.rm(dest, { recursive: true, force: true })
+  }
+})
+
+test('extract should reject entries escaping the destination', async (t) => {
+  const dest = path.join(os.tmpdir(), `zip-extract-test-${randomUUID()}`)
+  try {
+    for (const name of ['../evil.txt', '/etc/evil.txt', 'a/../../evil.txt', '..\\evil.txt', 'C:\\evil.txt']) {
+      const zipFile = await createZipBlob([new File(['evil'], name)])
+      await assert.rejects(extract(zipFile, dest), { name: 'ZipPathError', entry: name }, name)
+      await assert.rejects(extract(zipFile, dest, { dryRun: true }), ZipPathError)
+    }
+    await assert.rejects(fs.access(path.join(os.tmpdir(), 'evil.txt')))
+
+    for (const linkTarget of ['../outside', '/etc/passwd', 'a/../../outside']) {
+      const zipFile = await createZipBlob([{ name: 'link', linkTarget }])
+      await assert.rejects(extract(zipFile, dest), ZipPathError, linkTarget)
+    }
+
+    // normalized names that stay inside are fine
+    const zipFile = await createZipBlob([new File(['ok'], 'a/../b/./c.txt'), new File(['ok'], '..ok.txt')])
+    await extract(zipFile, dest)
+    assert.equal(await fs.readFile(path.join(dest, 'b/c.txt'), 'utf8'), 'ok')
+    assert.equal(await fs.readFile(path.join(dest, '..ok.txt'), 'utf8'), 'ok')
+  } finally {
+    await fs.rm(dest, { recursive: true, force: true })
+  }
+})
+
+test('extract should reject entries written through symlinks', async (t) => {
+  const parent = path.join(os.tmpdir(), `zip-extract-test-${randomUUID()}`)
+  const dest = path.join(parent, 'dest')
+  try {
+    // each link stays inside on its own, together b/ is the parent of dest
+    const zipFile = await createZipBlob([
+      { name: 'a', linkTarget: '.' },
+      { name: 'a/b', linkTarget: '..' },
+      new File(['evil'], 'b/evil.txt')
+    ])
+    await assert.rejects(extract(zipFile, dest), { name: 'ZipPathError', entry: 'a/b' })
+    await assert.rejects(fs.access(path.join(parent, 'evil.txt')))
+    await assert.rejects(fs.lstat(path.join(dest, 'b')))
+
+    // nor into directories through one
+    await fs.rm(dest, { recursive: true })
+    const dirFile = await createZipBlob([
+      { name: 'up', linkTarget: '.' },
+      { name: 'up/sub', directory: true, mode: 0o555 }
+    ])
+    await assert.rejects(extract(dirFile, dest), { name: 'ZipPathError', entry: 'up/sub/' })
+  } finally {
+    await fs.rm(parent, { recursive: true, force: true })
+  }
+})
+
+test('extract should not leave a corrupt entry behind', async (t) => {
+  const dest = path.join(os.tmpdir(), `zip-extract-test-${randomUUID()}`)
+  try {
+    const zip = new Uint8Array(await (await createZipBlob([new File(['good content'], 'a.txt')])).arrayBuffer())
+    const corrupt = replaceBytes(zip, new TextEncoder().encode('good content'), new TextEncoder().encode('evil content'))
+    await assert.rejects(extract(new Blob([corrupt]), dest), ZipIntegrityError)
+    await assert.rejects(fs.lstat(path.join(dest, 'a.txt')))
+
+    // a file that was already there stays
+    await fs.writeFile(path.join(dest, 'a.txt'), 'mine')
+    await assert.rejects(extract(new Blob([zip]), dest), { code: 'EEXIST' })
+    assert.equal(await fs.readFile(path.join(dest, 'a.txt'), 'utf8'), 'mine')
+  } finally {
+    await fs.rm(dest, { recursive: true, force: true })
+  }
+})
+
+test('extract should follow the overwrite policy, filter and dry run', async (t) => {
+  const dest = path.join(os.tmpdir(), `zip-extract-test-${randomUUID()}`)
+  try {
+    const zipFile = await createZipBlob([
+      new File(['new a'], 'a.txt'),
+      new File(['new b'], 'b.md'),
+      new File(['new c'], 'sub/c.md')
+    ])
+    await fs.mkdir(dest)
+    await fs.writeFile(path.join(dest, 'a.txt'), 'old a')
+
+    const listed = await extract(zipFile, path.join(dest, 'not-created'), { dryRun: true })
+    assert.deepEqual(listed.map(r => r.name), ['a.txt', 'b.md', 'sub/c.md'])
+    await assert.rejects(fs.access(path.join(dest, 'not-created')))
+
+    await assert.rejects(extract(zipFile, dest), { code: 'EEXIST' })
+    assert.equal(await fs.readFile(path.join(dest, 'a.txt'), 'utf8'), 'old a')
+
+    const skipped = await extract(zipFile, dest, { overwrite: 'skip' })
+    assert.deepEqual(skipped.map(r => r.skipped), [true, false, false])
+    assert.equal(await fs.readFile(path.join(dest, 'a.txt'), 'utf8'), 'old a')
+
+    // a symlink in the way is replaced, not written through
+    const outside = path.join(os.tmpdir(), `zip-extract-outside-${randomUUID()}`)
+    await fs.writeFile(outside, 'untouched')
+    await fs.rm(path.join(dest, 'a.txt'))
+    await fs.symlink(outside, path.join(dest, 'a.txt'))
+    await extract(zipFile, dest, { overwrite: 'overwrite' })
+    assert.equal(await fs.readFile(path.join(dest, 'a.txt'), 'utf8'), 'new a')
+    assert.equal(await fs.readFile(outside, 'utf8'), 'untouched')
+    await fs.rm(outside)
+
+    const filtered = await extract(zipFile, path.join(dest, 'md'), { filter: '**/*.md' })
+    assert.deepEqual(filtered.map(r => r.name), ['b.md', 'sub/c.md'])
+    await assert.rejects(fs.access(path.join(dest, 'md', 'a.txt')))
+  } finally {
+    await fs.rm(dest, { recursive: true, force: true })
+  }
+})
+
+// ============================================================================
+// Resource limits
+// ============================================================================
+
+/**
+ * A deflated archive whose central directory claims the first entry is
+ * `declaredSize` bytes, while it inflates to a lot more
+ */
+async function createLyingArchive (declaredSize) {
+  const zipFile = await new Response(
+    ReadableStream.from([
+      new File([new Uint8Array(1024 * 1024)], 'bomb.bin'),
+      new File(['small'], 'small.txt')
+    ]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+  const bytes = new Uint8Array(await zipFile.arrayBuffer())
+  const dv = new DataView(bytes.buffer)
+  const centralDirOffset = dv.getUint32(bytes.length - 22 + 16, true)
+  dv.setUint32(centralDirOffset + 24, declaredSize, true)
+  return new Blob([bytes])
+}
+
+test('read should enforce limits on the central directory', async (t) => {
+  const zipFile = await createZipBlob([
+    new File(['a'], 'a.txt'), new File(['b'], 'b.txt'), new File(['c'], 'c.txt')
+  ])
+  const readAll = async options => {
+    const names = []
+    for await (const entry of read(zipFile, options)) names.push(entry.name)
+    return names
+  }
+
+  assert.equal((await readAll({ limits: { maxEntries: 3 } })).length, 3)
+  await assert.rejects(readAll({ limits: { maxEntries: 2 } }), {
+    name: 'ZipLimitError',
+    code: 'ERR_ZIP_LIMIT',
+    limit: 'maxEntries',
+    max: 2,
+    actual: 3
+  })
+  await assert.rejects(readAll({ limits: { maxCentralDirectorySize: 100 } }), { limit: 'maxCentralDirectorySize' })
+  await assert.rejects(openArchive(zipFile, { limits: { maxEntries: 1 } }), ZipLimitError)
+
+  // a central directory larger than the file is a bad archive
+  const bytes = new Uint8Array(await zipFile.arrayBuffer())
+  new DataView(bytes.buffer).setUint32(bytes.length - 22 + 12, 0x7fffffff, true)
+  await assert.rejects(read(new Blob([bytes])).next(), /File format is not recognized/)
+})
+
+test('read should enforce limits on the declared sizes', async (t) => {
+  const zipFile = await new Response(
+    ReadableStream.from([
+      new File([new Uint8Array(1024 * 1024)], 'zeros.bin'),
+      new File(['x'.repeat(1000)], 'x.txt')
+    ]).pipeThrough(new Writer({ compression: 'deflate' }))
+  ).blob()
+  const readAll = async limits => {
+    for await (const entry of read(zipFile, { limits })) await entry.bytes()
+  }
+
+  await readAll({ maxEntrySize: 1024 * 1024, maxTotalSize: 1024 * 1024 + 1000, maxCompressionRatio: 2000 })
+  await assert.rejects(readAll({ maxEntrySize: 1000 }), { limit: 'maxEntrySize', entry: 'zeros.bin' })
+  await assert.rejects(readAll({ maxTotalSize: 1024 * 1024 }), { limit: 'maxTotalSize' })
+  await assert.rejects(readAll({ maxCompressionRatio: 100 }), { limit: 'maxCompressionRatio', entry: 'zeros.bin' })
+})
+
+test('read should enforce limits while inflating', async (t) => {
+  const zipFile = await createLyingArchive(100)
+
+  // with verify the size mismatch is caught on its own, without it only the
+  // limits stop the inflation
+  const [bomb] = await readZipBlob(zipFile)
+  assert.equal(bomb.size, 100)
+  await assert.rejects(bomb.text(), ZipIntegrityError)
+
+  const entries = []
+  for await (const entry of read(zipFile, { verify: false, limits: { maxEntrySize: 64 * 1024 } })) {
+    entries.push(entry)
+  }
+  await assert.rejects(entries[0].text(), { name: 'ZipLimitError', limit: 'maxEntrySize', entry: 'bomb.bin' })
+  await assert.rejects(entries[0].stream().pipeTo(new WritableStream()), { limit: 'maxEntrySize' })
+  assert.equal(await entries[1].text(), 'small')
+
+  const ratio = []
+  for await (const entry of read(zipFile, { verify: false, limits: { maxCompressionRatio: 50 } })) {
+    ratio.push(entry)
+  }
+  await assert.rejects(ratio[0].text(), { limit: 'maxCompressionRatio' })
+
+  // the total counts everything extracted with the same read()
+  const total = []
+  for await (const entry of read(zipFile, { verify: false, limits: { maxTotalSize: 1024 * 1024 } })) {
+    total.push(entry)
+  }
+  await total[0].stream().pipeTo(new WritableStream())
+  await assert.rejects(total[1].text(), { limit: 'maxTotalSize' })
+})
+
+// ============================================================================
+// Reading remote archives with Range requests
+// ============================================================================
+
+/**
+ * Serves `bytes` with support for HEAD and single Range requests, and logs
+ * every request
+ *
+ * @param {Uint8Array} bytes
+ * @param {Object} [options]
+ * @param {boolean} [options.head=true] whether HEAD tells about ranges
+ * @param {boolean} [options.ranges=true]
+ */
+async function serveRanges (bytes, { head = true, ranges = true } = {}) {
+  const http = await import('node:http')
+  const requests = []
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, range: req.headers.range, auth: req.headers.authorization })
+    if (req.method === 'HEAD') {
+      if (!head) return res.writeHead(405).end()
+      return res.writeHead(200, { 'Content-Length': bytes.length, 'Accept-Ranges': 'bytes' }).end()
+    }
+    const match = ranges && /^bytes=(\d*)-(\d*)$/.exec(req.headers.range ?? '')
+    if (!match) return res.writeHead(200, { 'Content-Length': bytes.length }).end(bytes)
+
+    const start = match[1] === '' ? bytes.length - Number(match[2]) : Number(match[1])
+    const end = match[1] === '' || match[2] === '' ? bytes.length - 1 : Number(match[2])
+    res.writeHead(206, {
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${bytes.length}`
+    }).end(bytes.subarray(start, end + 1))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}/archive.zip`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}
+
+test('fromURL should read single entries of a remote archive', async (t) => {
+  const big = new Uint8Array(3 * 1024 * 1024).map((_, i) => i * 7)
+  const files = [new File([big], 'big.bin')]
+  for (let i = 0; i < 50; i++) files.push(new File([`file ${i}`], `small/${i}.txt`))
+  const bytes = new Uint8Array(await (await createZipBlob(files)).arrayBuffer())
+
+  const server = await serveRanges(bytes)
+  try {
+    const blob = await fromURL(server.url, { headers: { Authorization: 'Bearer token' } })
+    assert.equal(blob.size, bytes.length)
+    assert.equal(server.requests[0].method, 'HEAD')
+
+    const archive = await openArchive(blob)
+    assert.equal(archive.size, 51)
+    assert.equal(await archive.get('small/42.txt').text(), 'file 42')
+    assert.equal(await archive.get('small/7.txt').text(), 'file 7')
+
+    // only the end of the archive and the small files were fetched
+    const fetched = server.requests
+      .filter(r => r.range)
+      .map(r => r.range.match(/(\d+)-(\d+)/).slice(1).map(Number))
+      .reduce((total, [start, end]) => total + end - start + 1, 0)
+    assert.ok(fetched < 256 * 1024, `fetched ${fetched} bytes`)
+    assert.ok(server.requests.every(r => r.auth === 'Bearer token'))
+
+    // the small entries sit next to each other, so they share blocks
+    const before = server.requests.length
+    for (let i = 0; i < 50; i++) await archive.get(`small/${i}.txt`).text()
+    assert.ok(server.requests.length - before < 5, `${server.requests.length - before} requests`)
+
+    // large entries are streamed in chunks
+    assert.deepEqual(await archive.get('big.bin').bytes(), big)
+    const file = await archive.get('big.bin').file()
+    assert.equal(file.size, big.length)
+
+    // slicing works like Blob#slice
+    assert.deepEqual(await blob.slice(-4).bytes(), bytes.slice(-4))
+    assert.deepEqual(await blob.slice(10, 20).slice(2, -2).bytes(), bytes.slice(12, 18))
+    assert.equal(blob.slice(20, 10).size, 0)
+  } finally {
+    await server.close()
+  }
+})
+
+test('fromURL should fall back to a suffix range and reject servers without ranges', async (t) => {
+  const bytes = new Uint8Array(await (await createZipBlob([new File(['remote'], 'a.txt')])).arrayBuffer())
+
+  const noHead = await serveRanges(bytes, { head: false })
+  try {
+    const blob = await fromURL(noHead.url, { cacheBlocks: 0 })
+    assert.equal(blob.size, bytes.length)
+    assert.equal(noHead.requests[1].range, 'bytes=-1')
+    const [entry] = await readZipBlob(blob)
+    assert.equal(await entry.text(), 'remote')
+  } finally {
+    await noHead.close()
+  }
+
+  const noRanges = await serveRanges(bytes, { head: false, ranges: false })
+  try {
+    await assert.rejects(fromURL(noRanges.url), /doesn't support range requests/)
+    // when the size is known up front, the first read fails instead
+    const blob = await fromURL(noRanges.url, { size: bytes.length })
+    await assert.rejects(readZipBlob(blob), /Expected a partial response/)
+  } finally {
+    await noRanges.close()
+  }
+})
+
+// ============================================================================
+// Entries without data descriptors
+// ============================================================================
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function crc32Of (bytes) {
+  const crc = new Crc32()
+  crc.append(bytes)
+  return crc.get()
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ */
+function localHeaderAt (bytes, offset) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const nameLength = dv.getUint16(offset + 26, true)
+  const extraStart = offset + 30 + nameLength
+  return {
+    name: new TextDecoder().decode(bytes.subarray(offset + 30, extraStart)),
+    version: dv.getUint16(offset + 4, true),
+    flags: dv.getUint16(offset + 6, true),
+    crc: dv.getUint32(offset + 14, true),
+    compressedSize: dv.getUint32(offset + 18, true),
+    size: dv.getUint32(offset + 22, true),
+    extra: bytes.subarray(extraStart, extraStart + dv.getUint16(offset + 28, true)),
+    length: 30 + nameLength + dv.getUint16(offset + 28, true)
+  }
+}
+
+/**
+ * Walks the local headers the way a strict forward only reader would, trusting
+ * the sizes in them
+ *
+ * @param {Uint8Array} bytes
+ */
+function walkLocalHeaders (bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const headers = []
+  let offset = 0
+  while (dv.getUint32(offset, true) === 0x04034b50) {
+    const header = localHeaderAt(bytes, offset)
+    headers.push(header)
+    offset += header.length + header.compressedSize
+  }
+  assert.equal(dv.getUint32(offset, true), 0x02014b50, 'the central directory should follow the last entry')
+  return headers
+}
+
+test('dataDescriptor: false should put the crc and sizes in the local headers', async (t) => {
+  const lorem = 'Lorem ipsum dolor sit amet. '.repeat(200)
+  const files = [
+    new File(['stored content'], 'stored.txt'),
+    Object.assign(new File([lorem], 'deflated.txt'), { compression: 'deflate' }),
+    Object.assign(new File([lorem], 'secret.txt'), { password: 'pw', compression: 'deflate' }),
+    new File([], 'empty.txt'),
+    { name: 'dir', directory: true },
+    { name: 'link', linkTarget: 'stored.txt' }
+  ]
+  const bytes = await new Response(
+    ReadableStream.from(files).pipeThrough(new Writer({ dataDescriptor: false }))
+  ).bytes()
+
+  const headers = walkLocalHeaders(bytes)
+  assert.deepEqual(headers.map(h => h.name), ['stored.txt', 'deflated.txt', 'secret.txt', 'empty.txt', 'dir/', 'link'])
+  for (const header of headers) assert.equal(header.flags & 0x0008, 0, `${header.name} should have no data descriptor`)
+
+  const [stored, deflated, secret] = headers
+  assert.equal(stored.size, 14)
+  assert.equal(stored.compressedSize, 14)
+  assert.equal(stored.crc, crc32Of(new TextEncoder().encode('stored content')))
+  assert.equal(deflated.size, lorem.length)
+  assert.ok(deflated.compressedSize < lorem.length)
+  assert.equal(secret.flags & 0x0001, 1)
+  assert.equal(secret.crc, 0, 'AE-2 should not reveal the crc')
+
+  // readers that go through the central directory agree
+  const entries = new Map()
+  for await (const entry of read(new Blob([bytes]), { password: 'pw' })) entries.set(entry.name, entry)
+  assert.equal(await entries.get('deflated.txt').text(), lorem)
+  assert.equal(await entries.get('secret.txt').text(), lorem)
+  assert.equal(await entries.get('link').linkTarget(), 'stored.txt')
+
+  const streamed = []
+  for await (const entry of readStream(new Blob([bytes]).stream())) {
+    streamed.push(entry.name)
+    if (entry.name === 'deflated.txt') assert.equal(await entry.text(), lorem)
+  }
+  assert.deepEqual(streamed, headers.map(h => h.name))
+
+  const testDir = path.join(os.tmpdir(), `zip-no-descriptor-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    const zipPath = path.join(testDir, 'archive.zip')
+    await fs.writeFile(zipPath, bytes)
+    const { execSync } = await import('node:child_process')
+    // Info-ZIP doesn't do AES
+    execSync(`unzip -tq "${zipPath}" -x secret.txt`)
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('dataDescriptor is left out for stored entries with a given crc32 and size', async (t) => {
+  const content = new TextEncoder().encode('known up front')
+  const crc32 = crc32Of(content)
+  let reads = 0
+  const entry = {
+    name: 'known.txt',
+    size: content.length,
+    crc32,
+    stream () {
+      reads++
+      return new Blob([content]).stream()
+    }
+  }
+
+  const bytes = await new Response(
+    ReadableStream.from([entry, new File(['later'], 'described.txt')]).pipeThrough(new Writer())
+  ).bytes()
+
+  assert.equal(reads, 1, 'a stored entry with its crc32 and size should only be read once')
+  const known = localHeaderAt(bytes, 0)
+  assert.equal(known.flags & 0x0008, 0)
+  assert.equal(known.crc, crc32)
+  assert.equal(known.size, content.length)
+
+  const [first, second] = await readZipBlob(new Blob([bytes]))
+  assert.equal(await first.text(), 'known up front')
+  assert.equal(await second.text(), 'later')
+  assert.equal(second.bitFlag & 0x0008, 0x0008, 'the default still writes a data descriptor')
+
+  // unless it's asked for, on the entry or the Writer
+  for (const [own, options] of [[{ dataDescriptor: true }, {}], [{}, { dataDescriptor: true }]]) {
+    const described = await new Response(
+      ReadableStream.from([{ ...entry, ...own }]).pipeThrough(new Writer(options))
+    ).bytes()
+    assert.equal(localHeaderAt(described, 0).flags & 0x0008, 0x0008)
+  }
+
+  // and compressed entries still need one, their compressed size isn't known
+  const deflated = await new Response(
+    ReadableStream.from([{ ...entry, compression: 'deflate' }]).pipeThrough(new Writer())
+  ).bytes()
+  assert.equal(localHeaderAt(deflated, 0).flags & 0x0008, 0x0008)
+})
+
+test('dataDescriptor: false should reject content that does not match its crc32 and size', async (t) => {
+  const entry = {
+    name: 'liar.txt',
+    size: 5,
+    crc32: 1234,
+    stream: () => new Blob(['hello']).stream()
+  }
+  await assert.rejects(
+    new Response(ReadableStream.from([entry]).pipeThrough(new Writer({ dataDescriptor: false }))).bytes(),
+    err => err instanceof ZipIntegrityError && err.entry === 'liar.txt'
+  )
+})
+
+// ============================================================================
+// ZIP64 local headers and data descriptors
+// ============================================================================
+
+/**
+ * @param {Uint8Array} extra
+ * @returns {DataView | undefined} data of the zip64 extra field
+ */
+function zip64ExtraField (extra) {
+  const dv = new DataView(extra.buffer, extra.byteOffset, extra.byteLength)
+  for (let i = 0; i + 4 <= extra.length; i += 4 + dv.getUint16(i + 2, true)) {
+    if (dv.getUint16(i, true) === 0x0001) {
+      return new DataView(extra.buffer, extra.byteOffset + i + 4, dv.getUint16(i + 2, true))
+    }
+  }
+}
+
+test('forceZip64 should reserve the zip64 field and write zip64 data descriptors', async (t) => {
+  const content = 'forced zip64 content '.repeat(20)
+  const bytes = await new Response(
+    ReadableStream.from([
+      new File([content], 'a.txt'),
+      Object.assign(new File([content], 'b.txt'), { compression: 'deflate' })
+    ]).pipeThrough(new Writer({ forceZip64: true }))
+  ).bytes()
+  const dv = new DataView(bytes.buffer)
+
+  const header = localHeaderAt(bytes, 0)
+  assert.equal(header.version, 45)
+  assert.equal(header.flags & 0x0008, 0x0008)
+  assert.equal(header.size, 0xffffffff)
+  assert.equal(header.compressedSize, 0xffffffff)
+  const field = zip64ExtraField(header.extra)
+  assert.ok(field, 'the local header should have a zip64 extra field')
+  assert.equal(field.getBigUint64(0, true), 0n)
+  assert.equal(field.getBigUint64(8, true), 0n)
+
+  // the 24 byte descriptor with 8 byte sizes follows the data
+  const descriptor = header.length + content.length
+  assert.equal(dv.getUint32(descriptor, true), 0x08074b50)
+  assert.equal(dv.getBigUint64(descriptor + 8, true), BigInt(content.length))
+  assert.equal(dv.getBigUint64(descriptor + 16, true), BigInt(content.length))
+  assert.equal(dv.getUint32(descriptor + 24, true), 0x04034b50, 'the next entry should follow the descriptor')
+
+  const entries = await readZipBlob(new Blob([bytes]))
+  for (const entry of entries) {
+    assert.equal(entry.zip64, true)
+    assert.equal(entry.versionNeeded, 45)
+    // the offset is small enough to stay out of the zip64 field
+    assert.ok(entry.offset < 0xffffffff)
+    assert.equal(await entry.text(), content)
+  }
+
+  const streamed = []
+  for await (const entry of readStream(new Blob([bytes]).stream())) {
+    streamed.push(await entry.text())
+    assert.equal(entry.size, content.length)
+  }
+  assert.deepEqual(streamed, [content, content])
+
+  const testDir = path.join(os.tmpdir(), `zip-force-zip64-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    const zipPath = path.join(testDir, 'archive.zip')
+    await fs.writeFile(zipPath, bytes)
+    const { execSync } = await import('node:child_process')
+    execSync(`unzip -tq "${zipPath}"`)
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('forceZip64 without data descriptors should put the sizes in the zip64 field', async (t) => {
+  const bytes = await new Response(
+    ReadableStream.from([new File(['known'], 'a.txt')])
+      .pipeThrough(new Writer({ forceZip64: true, dataDescriptor: false }))
+  ).bytes()
+
+  const header = localHeaderAt(bytes, 0)
+  assert.equal(header.version, 45)
+  assert.equal(header.flags & 0x0008, 0)
+  const field = zip64ExtraField(header.extra)
+  assert.equal(field.getBigUint64(0, true), 5n)
+  assert.equal(field.getBigUint64(8, true), 5n)
+  assert.equal(new DataView(bytes.buffer).getUint32(header.length + 5, true), 0x02014b50)
+
+  const [entry] = await readZipBlob(new Blob([bytes]))
+  assert.equal(await entry.text(), 'known')
+})
+
+test('entries declared larger than 4 GiB should reserve the zip64 field', async (t) => {
+  const entry = {
+    name: 'big.bin',
+    size: 2 ** 32,
+    stream: () => new Blob(['not actually big']).stream()
+  }
+  const bytes = await new Response(
+    ReadableStream.from([entry, new File(['small'], 'small.txt')]).pipeThrough(new Writer())
+  ).bytes()
+
+  const big = localHeaderAt(bytes, 0)
+  assert.equal(big.version, 45)
+  assert.ok(zip64ExtraField(big.extra))
+
+  const small = localHeaderAt(bytes, big.length + 16 + 24)
+  assert.equal(small.name, 'small.txt')
+  assert.equal(small.version, 20)
+  assert.equal(zip64ExtraField(small.extra), undefined)
+
+  const names = []
+  for await (const entry of readStream(new Blob([bytes]).stream())) names.push(`${entry.name}:${await entry.text()}`)
+  assert.deepEqual(names, ['big.bin:not actually big', 'small.txt:small'])
+})
+
+// ============================================================================
+// Compression codecs
+// ============================================================================
+
+/**
+ * A toy codec that flips every bit, so it's easy to tell apart from store
+ */
+const invert = () => new TransformStream({
+  transform (chunk, ctrl) {
+    ctrl.enqueue(chunk.map(byte => ~byte & 0xff))
+  }
+})
+
+test('entries with an unknown compression method should fail with UnsupportedCompressionMethodError', async (t) => {
+  const content = new TextEncoder().encode('pretend this is bzip2')
+  // copied as is, the writer doesn't need to know the method
+  const bytes = await new Response(ReadableStream.from([{
+    raw: true,
+    name: 'data.bz2.txt',
+    compressionMethod: 12,
+    crc32: crc32Of(content),
+    size: content.length,
+    compressedSize: content.length,
+    stream: () => new Blob([content]).stream()
+  }]).pipeThrough(new Writer())).bytes()
+
+  const [entry] = await readZipBlob(new Blob([bytes]))
+  assert.equal(entry.compressionMethod, 12)
+  await assert.rejects(entry.text(), err => {
+    assert.ok(err instanceof UnsupportedCompressionMethodError)
+    assert.equal(err.code, 'ERR_ZIP_UNSUPPORTED_METHOD')
+    assert.equal(err.method, 12)
+    assert.equal(err.entry, 'data.bz2.txt')
+    return true
+  })
+  // the raw bytes are still there
+  assert.deepEqual(new Uint8Array(await (await entry.rawBytes()).arrayBuffer()), content)
+
+  for await (const entry of readStream(new Blob([bytes]).stream())) {
+    assert.throws(() => entry.stream(), UnsupportedCompressionMethodError)
+  }
+})
+
+test('registerCodec should add compression methods for reading and writing', async (t) => {
+  registerCodec(0x4242, { name: 'invert', decoder: invert, encoder: invert, versionNeeded: 63 })
+
+  const content = 'inverted '.repeat(100)
+  const bytes = await new Response(ReadableStream.from([
+    new File([content], 'a.txt'),
+    Object.assign(new File([content], 'b.txt'), { compression: 'store' })
+  ]).pipeThrough(new Writer({ compression: 'invert', dataDescriptor: false }))).bytes()
+
+  const header = localHeaderAt(bytes, 0)
+  assert.equal(header.version, 63)
+  assert.equal(new DataView(bytes.buffer).getUint16(8, true), 0x4242)
+  assert.equal(bytes[header.length], ~'i'.charCodeAt(0) & 0xff)
+
+  const [a, b] = await readZipBlob(new Blob([bytes]))
+  assert.equal(a.compressionMethod, 0x4242)
+  assert.equal(await a.text(), content)
+  assert.equal(b.compressionMethod, 0)
+
+  const streamed = []
+  for await (const entry of readStream(new Blob([bytes]).stream())) streamed.push(await entry.text())
+  assert.deepEqual(streamed, [content, content])
+})
+
+test('registerCodec should validate its arguments', async (t) => {
+  assert.throws(() => registerCodec(99, { name: 'aes', decoder: invert }), RangeError)
+  assert.throws(() => registerCodec(-1, { name: 'negative', decoder: invert }), RangeError)
+  assert.throws(() => registerCodec(0x10000, { name: 'big', decoder: invert }), RangeError)
+  assert.throws(() => registerCodec(0x4243, { decoder: invert }), TypeError)
+
+  // a codec that can only decompress can't be written with
+  registerCodec(0x4244, { name: 'read-only', decoder: invert })
+  assert.throws(() => new Writer({ compression: 'read-only' }), /Unknown compression: read-only/)
+})
+
+// ============================================================================
+// Deflate64
+// ============================================================================
+
+/**
+ * Encodes a Deflate64 stream by hand, there's nothing around to make one. It
+ * starts with a stored block of `stored`, then a fixed huffman block of
+ * literals and matches.
+ *
+ * @param {Uint8Array} stored
+ * @param {Array<Uint8Array | { length: number, distance: number }>} ops
+ * @returns {{ deflated: Uint8Array, inflated: Uint8Array }}
+ */
+function deflate64Fixed (stored, ops) {
+  const bytes = []
+  let bitBuffer = 0
+  let bitCount = 0
+  const bits = (value, n) => {
+    for (let i = 0; i < n; i++) {
+      bitBuffer |= ((value >> i) & 1) << bitCount
+      if (++bitCount === 8) {
+        bytes.push(bitBuffer)
+        bitBuffer = bitCount = 0
+      }
+    }
+  }
+  // huffman codes go most significant bit first
+  const code = (value, n) => {
+    for (let i = n - 1; i >= 0; i--) bits((value >> i) & 1, 1)
+  }
+  const literal = symbol => {
+    if (symbol < 144) code(0x30 + symbol, 8)
+    else if (symbol < 256) code(0x190 + symbol - 144, 9)
+    else if (symbol < 280) code(symbol - 256, 7)
+    else code(0xc0 + symbol - 280, 8)
+  }
+  const lengthBase = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 3]
+  const lengthExtra = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 16]
+  const distanceBase = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577, 32769, 49153]
+  const distanceExtra = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13, 14, 14]
+  const pick = (base, value) => base.findLastIndex(b => b <= value)
+
+  const inflated = [...stored]
+  bits(0, 1)
+  bits(0, 2)
+  if (bitCount) bits(0, 8 - bitCount)
+  bits(stored.length, 16)
+  bits(stored.length ^ 0xffff, 16)
+  bytes.push(...stored)
+
+  bits(1, 1)
+  bits(1, 2)
+  for (const op of ops) {
+    if (op instanceof Uint8Array) {
+      for (const byte of op) literal(byte)
+      inflated.push(...op)
+      continue
+    }
+    // code 285 is the only one with a 16 bit extra length
+    const lengthCode = op.length > 258 ? 28 : Math.min(pick(lengthBase.slice(0, 28), op.length), 27)
+    literal(257 + lengthCode)
+    bits(op.length - lengthBase[lengthCode], lengthExtra[lengthCode])
+    const distanceCode = pick(distanceBase, op.distance)
+    code(distanceCode, 5)
+    bits(op.distance - distanceBase[distanceCode], distanceExtra[distanceCode])
+    for (let i = 0; i < op.length; i++) inflated.push(inflated[inflated.length - op.distance])
+  }
+  literal(256)
+  if (bitCount) bits(0, 8 - bitCount)
+
+  return { deflated: new Uint8Array(bytes), inflated: new Uint8Array(inflated) }
+}
+
+/**
+ * @param {string} name
+ * @param {Uint8Array} deflated
+ * @param {Uint8Array} inflated
+ */
+async function createDeflate64Zip (name, deflated, inflated) {
+  return new Blob([await new Response(ReadableStream.from([{
+    raw: true,
+    name,
+    compressionMethod: 9,
+    crc32: crc32Of(inflated),
+    size: inflated.length,
+    compressedSize: deflated.length,
+    stream: () => new Blob([deflated]).stream()
+  }]).pipeThrough(new Writer())).bytes()])
+}
+
+test('should inflate Deflate64 entries with long matches and far distances', async (t) => {
+  let seed = 7
+  const random = length => Uint8Array.from({ length }, () => (seed = (seed * 1103515245 + 12345) % 2147483648) >> 16 & 0xff)
+
+  const { deflated, inflated } = deflate64Fixed(random(1000), [
+    random(70000),
+    // beyond the 32 KiB of deflate
+    { length: 1000, distance: 40000 },
+    { length: 5, distance: 65536 },
+    // longer than the 258 of deflate
+    { length: 65538, distance: 1 },
+    { length: 300, distance: 33000 },
+    new TextEncoder().encode('the end')
+  ])
+  const zip = await createDeflate64Zip('windows.bin', deflated, inflated)
+
+  const [entry] = await readZipBlob(zip)
+  assert.equal(entry.compressionMethod, 9)
+  assert.deepEqual(await entry.bytes(), inflated)
+
+  // split anywhere
+  for (const size of [1, 3, 4096]) {
+    for await (const entry of readStream(await chunkedStream(zip, size))) {
+      assert.deepEqual(await entry.bytes(), inflated)
+    }
+  }
+})
+
+test('should inflate Deflate64 entries with dynamic huffman blocks', async (t) => {
+  // plain deflate is Deflate64 too, as long as it has no matches of 258
+  const text = new TextEncoder().encode(
+    Array.from({ length: 20000 }, (_, i) => (i * 7919 % 10007).toString(36)).join(' ')
+  )
+  const deflated = await new Response(
+    new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'))
+  ).bytes()
+  const zip = await createDeflate64Zip('dynamic.txt', deflated, text)
+
+  const [entry] = await readZipBlob(zip)
+  assert.deepEqual(await entry.bytes(), text)
+})
+
+test('should reject truncated and corrupt Deflate64 data', async (t) => {
+  const { deflated, inflated } = deflate64Fixed(new Uint8Array(10), [new Uint8Array(100).fill(1)])
+
+  const truncated = await createDeflate64Zip('truncated.bin', deflated.subarray(0, deflated.length - 10), inflated)
+  const [entry] = await readZipBlob(truncated)
+  await assert.rejects(entry.bytes({ verify: false }), /Unexpected end of deflate64 data/)
+
+  const corrupt = deflated.slice()
+  corrupt[0] |= 0b110
+  const [bad] = await readZipBlob(await createDeflate64Zip('corrupt.bin', corrupt, inflated))
+  await assert.rejects(bad.bytes({ verify: false }), /unknown block type/)
+})
+
+// ============================================================================
+// Legacy name encodings
+// ============================================================================
+
+/**
+ * Replaces every occurrence of a byte sequence with another of the same length
+ *
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} from
+ * @param {Uint8Array} to
+ */
+function replaceBytes (bytes, from, to) {
+  const result = bytes.slice()
+  for (let i = 0; i <= result.length - from.length; i++) {
+    if (from.every((byte, j) => result[i + j] === byte)) result.set(to, i)
+  }
+  return result
+}
+
+test('names and comments without bit 11 should be decoded as CP437', async (t) => {
+  const bytes = await new Response(ReadableStream.from([
+    Object.assign(new File(['a'], 'Ünïcödé.txt'), { comment: 'café' }),
+    new File(['b'], '日本.txt'),
+    new File(['c'], 'plain.txt')
+  ]).pipeThrough(new Writer({ encoding: 'cp437', dataDescriptor: false }))).bytes()
+
+  const headers = walkLocalHeaders(bytes)
+  assert.equal(headers[0].flags & 0x0800, 0, 'CP437 names should have bit 11 clear')
+  assert.equal(headers[1].flags & 0x0800, 0x0800, 'names CP437 lacks should stay utf-8')
+  assert.equal(headers[2].flags & 0x0800, 0)
+
+  const entries = await readZipBlob(new Blob([bytes]))
+  assert.deepEqual(entries.map(e => e.name), ['Ünïcödé.txt', '日本.txt', 'plain.txt'])
+  assert.equal(entries[0].comment, 'café')
+  assert.deepEqual(entries[0].rawName, new Uint8Array([0x9a, 0x6e, 0x8b, 0x63, 0x94, 0x64, 0x82, 0x2e, 0x74, 0x78, 0x74]))
+
+  const streamed = []
+  for await (const entry of readStream(new Blob([bytes]).stream())) streamed.push(entry.name)
+  assert.deepEqual(streamed, ['Ünïcödé.txt', '日本.txt', 'plain.txt'])
+
+  assert.throws(() => new Writer({ encoding: 'latin1' }), /Unknown encoding: latin1/)
+})
+
+test('the encoding option should decode legacy names in other charsets', async (t) => {
+  const encoder = new TextEncoder()
+  const written = await new Response(ReadableStream.from([
+    Object.assign(new File(['sjis'], 'XXXXXX.txt'), { comment: 'YYYYYY' })
+  ]).pipeThrough(new Writer({ encoding: 'cp437' }))).bytes()
+  // what an old Japanese zip tool would have written
+  const sjisName = new Uint8Array([0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea, 0x2e, 0x74, 0x78, 0x74])
+  const sjisComment = new Uint8Array([0x83, 0x65, 0x83, 0x58, 0x83, 0x67])
+  const bytes = replaceBytes(
+    replaceBytes(written, encoder.encode('XXXXXX.txt'), sjisName),
+    encoder.encode('YYYYYY'),
+    sjisComment
+  )
+  const blob = new Blob([bytes])
+
+  const [entry] = await readZipBlob(blob)
+  assert.notEqual(entry.name, '日本語.txt', 'CP437 by default')
+  assert.deepEqual(entry.rawName, sjisName)
+  assert.equal(new TextDecoder('shift_jis').decode(entry.rawName), '日本語.txt')
+
+  const entries = []
+  for await (const entry of read(blob, { encoding: 'shift_jis' })) entries.push(entry)
+  assert.equal(entries[0].name, '日本語.txt')
+  assert.equal(entries[0].comment, 'テスト')
+  assert.equal(await entries[0].text(), 'sjis')
+
+  for await (const entry of readStream(blob.stream(), { encoding: 'shift_jis' })) {
+    assert.equal(entry.name, '日本語.txt')
+  }
+
+  await assert.rejects(async () => {
+    for await (const entry of read(blob, { encoding: 'no-such-charset' })) entry.name
+  }, RangeError)
+})
+
+test('the Info-ZIP unicode path field should win over the legacy name', async (t) => {
+  const rawName = new TextEncoder().encode('legacy.txt')
+  const unicode = new TextEncoder().encode('ünicode.txt')
+  const extra = new Uint8Array(9 + unicode.length)
+  const dv = new DataView(extra.buffer)
+  dv.setUint16(0, 0x7075, true)
+  dv.setUint16(2, 5 + unicode.length, true)
+  dv.setUint8(4, 1)
+  dv.setUint32(5, crc32Of(rawName), true)
+  extra.set(unicode, 9)
+
+  const blob = createZip64FieldArchive([{ name: rawName, content: 'unicode path', extra }])
+  const [entry] = await readZipBlob(blob)
+  assert.equal(entry.name, 'ünicode.txt')
+  assert.deepEqual(entry.rawName, rawName)
+  assert.equal(await entry.text(), 'unicode path')
+  for await (const entry of readStream(blob.stream())) assert.equal(entry.name, 'ünicode.txt')
+
+  // it's ignored once the name it was made for has changed
+  dv.setUint32(5, crc32Of(rawName) ^ 1, true)
+  const [stale] = await readZipBlob(createZip64FieldArchive([{ name: rawName, content: 'stale', extra }]))
+  assert.equal(stale.name, 'legacy.txt')
+})
+
+test('utf-8 names without bit 11 should be read with encoding: utf-8', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-unflagged-utf8-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    await fs.writeFile(path.join(testDir, 'ünicode.txt'), 'from info-zip')
+    const { execSync } = await import('node:child_process')
+    // Info-ZIP stores the name as is, without setting bit 11
+    execSync('zip -q archive.zip ünicode.txt', { cwd: testDir, env: { ...process.env, LC_ALL: 'C' } })
+    const blob = await openAsBlob(path.join(testDir, 'archive.zip'))
+
+    const [entry] = await readZipBlob(blob)
+    assert.equal(entry.bitFlag & 0x0800, 0)
+    assert.equal(entry.name, '├╝nicode.txt')
+
+    for await (const entry of read(blob, { encoding: 'utf-8' })) {
+      assert.equal(entry.name, 'ünicode.txt')
+      assert.equal(await entry.text(), 'from info-zip')
+    }
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+// ============================================================================
+// Command line
+// ============================================================================
+
+/**
+ * Runs the command line tool in a directory, collecting what it writes
+ *
+ * @param {string} cwd
+ * @param {...string} args
+ */
+async function cli (cwd, ...args) {
+  const { main } = await import('../lib/cli.js')
+  let stdout = ''
+  let stderr = ''
+  const code = await main(args, {
+    cwd,
+    stdout: { write: text => { stdout += text } },
+    stderr: { write: text => { stderr += text } }
+  })
+  return { code, stdout, stderr }
+}
+
+test('zip-go create, list and extract should round trip a directory', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-cli-${randomUUID()}`)
+  await fs.mkdir(path.join(testDir, 'src', 'sub'), { recursive: true })
+  try {
+    await fs.writeFile(path.join(testDir, 'src', 'a.txt'), 'hello')
+    await fs.writeFile(path.join(testDir, 'src', 'sub', 'b.md'), 'world '.repeat(100))
+
+    const created = await cli(testDir, 'create', 'out.zip', 'src', '--compression', 'deflate', '--comment', 'built')
+    assert.equal(created.code, 0)
+    assert.equal(created.stdout, 'created out.zip with 4 entries\n')
+
+    const listed = await cli(testDir, 'list', 'out.zip')
+    assert.equal(listed.code, 0)
+    assert.match(listed.stdout, /^ +5 +\d+ +-?\d+% +\S+ +3610a686 +src\/a\.txt$/m)
+    assert.match(listed.stdout, /4 entries\n$/)
+
+    const { stdout } = await cli(testDir, 'list', 'out.zip', '--json')
+    const entries = JSON.parse(stdout)
+    assert.deepEqual(entries.map(entry => entry.name), ['src/', 'src/a.txt', 'src/sub/', 'src/sub/b.md'])
+    assert.equal(entries[0].directory, true)
+    assert.equal(entries[3].size, 600)
+    assert.ok(entries[3].ratio > 0.9)
+
+    const extracted = await cli(testDir, 'extract', 'out.zip', 'out', '--filter', '**/*.txt')
+    assert.equal(extracted.code, 0)
+    assert.equal(extracted.stdout, 'extracted: src/a.txt\n')
+    assert.equal(await fs.readFile(path.join(testDir, 'out', 'src', 'a.txt'), 'utf8'), 'hello')
+    await assert.rejects(fs.stat(path.join(testDir, 'out', 'src', 'sub', 'b.md')))
+
+    // the default overwrite policy refuses to touch existing files
+    const again = await cli(testDir, 'extract', 'out.zip', 'out')
+    assert.equal(again.code, 1)
+    assert.match(again.stderr, /^zip-go: /)
+
+    const { execSync } = await import('node:child_process')
+    execSync('unzip -tq out.zip', { cwd: testDir })
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('zip-go create should leave out the archive it is writing', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-cli-self-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    await fs.writeFile(path.join(testDir, 'a.txt'), 'a')
+    const created = await cli(testDir, 'create', 'out.zip', '.')
+    assert.equal(created.code, 0)
+    const { stdout } = await cli(testDir, 'list', 'out.zip', '--json')
+    const dir = path.basename(testDir)
+    assert.deepEqual(JSON.parse(stdout).map(entry => entry.name), [`${dir}/`, `${dir}/a.txt`])
+
+    // nor when it's given as something to zip
+    const named = await cli(testDir, 'create', 'self.zip', 'a.txt', 'self.zip')
+    assert.equal(named.stdout, 'created self.zip with 1 entry\n')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('zip-go test should exit with 3 for corrupt entries', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-cli-test-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    const zip = new Uint8Array(await new Response(ReadableStream.from([
+      new File(['good content'], 'good.txt'),
+      new File(['bad content'], 'bad.txt')
+    ]).pipeThrough(new Writer())).arrayBuffer())
+    await fs.writeFile(path.join(testDir, 'good.zip'), zip)
+
+    const good = await cli(testDir, 'test', 'good.zip')
+    assert.equal(good.code, 0)
+    assert.equal(good.stdout, 'OK      good.txt\nOK      bad.txt\n')
+
+    const corrupt = replaceBytes(zip, new TextEncoder().encode('bad content'), new TextEncoder().encode('BAD content'))
+    await fs.writeFile(path.join(testDir, 'bad.zip'), corrupt)
+    const bad = await cli(testDir, 'test', 'bad.zip')
+    assert.equal(bad.code, 3)
+    assert.match(bad.stdout, /^OK      good\.txt\nFAILED  bad\.txt: /)
+    assert.equal(bad.stderr, 'zip-go: 1 corrupt entry\n')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('zip-go comment should show and replace the archive comment', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-cli-comment-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    await fs.writeFile(path.join(testDir, 'a.txt'), 'a')
+    await cli(testDir, 'create', 'out.zip', 'a.txt', '--comment', 'first')
+    assert.equal((await cli(testDir, 'comment', 'out.zip')).stdout, 'first\n')
+
+    assert.equal((await cli(testDir, 'comment', 'out.zip', 'second')).code, 0)
+    assert.equal((await cli(testDir, 'comment', 'out.zip')).stdout, 'second\n')
+    assert.deepEqual(await fs.readdir(testDir), ['a.txt', 'out.zip'])
+
+    // what it writes in utf-8 it reads back the same
+    await cli(testDir, 'create', 'café.zip', 'a.txt', '--comment', 'naïve café')
+    assert.equal((await cli(testDir, 'comment', 'café.zip')).stdout, 'naïve café\n')
+    await cli(testDir, 'comment', 'café.zip', 'über')
+    assert.equal((await cli(testDir, 'comment', 'café.zip')).stdout, 'über\n')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('zip-go should exit with 2 for bad usage', async (t) => {
+  const cwd = os.tmpdir()
+  for (const args of [
+    [], ['bogus', 'a.zip'], ['constructor', 'a.zip'], ['list'], ['list', 'a.zip', '--nope'], ['create', 'a.zip'],
+    ['create', 'a.zip', 'a.txt', '--compression', 'bogus'], ['extract', 'a.zip', '--overwrite', 'bogus']
+  ]) {
+    const { code, stderr } = await cli(cwd, ...args)
+    assert.equal(code, 2, args.join(' '))
+    assert.match(stderr, /^zip-go: /)
+  }
+
+  const help = await cli(cwd, '--help')
+  assert.equal(help.code, 0)
+  assert.match(help.stdout, /^Usage: zip-go/)
+
+  const missing = await cli(cwd, 'list', `missing-${randomUUID()}.zip`)
+  assert.equal(missing.code, 1)
+})
+
+test('bin/zip-go.js should set the exit code', async (t) => {
+  const { spawnSync } = await import('node:child_process')
+  const bin = new URL('../bin/zip-go.js', import.meta.url).pathname
+  const result = spawnSync(process.execPath, [bin, 'bogus', 'a.zip'], { encoding: 'utf8' })
+  assert.equal(result.status, 2)
+  assert.match(result.stderr, /unknown command bogus/)
+})
+
+// ============================================================================
+// Walking directories
+// ============================================================================
+
+/**
+ * @param {AsyncIterable<Object>} iterable
+ */
+async function collect (iterable) {
+  const items = []
+  for await (const item of iterable) items.push(item)
+  return items
+}
+
+test('walk should yield a directory tree as Writer entries', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-walk-${randomUUID()}`)
+  await fs.mkdir(path.join(testDir, 'src', 'lib'), { recursive: true })
+  await fs.mkdir(path.join(testDir, 'empty'))
+  try {
+    await fs.writeFile(path.join(testDir, 'src', 'lib', 'a.js'), 'export default 1')
+    await fs.writeFile(path.join(testDir, 'run.sh'), '#!/bin/sh', { mode: 0o755 })
+    await fs.utimes(path.join(testDir, 'run.sh'), new Date(2020, 0, 1), new Date(2020, 0, 1))
+
+    const entries = await collect(walk(testDir))
+    assert.deepEqual(entries.map(entry => entry.name), ['empty/', 'run.sh', 'src/', 'src/lib/', 'src/lib/a.js'])
+    assert.equal(entries[0].directory, true)
+    const script = entries[1]
+    assert.equal(script.size, 9)
+    assert.equal(script.lastModified, new Date(2020, 0, 1).getTime())
+    assert.equal(script.mode & 0o777, 0o755)
+
+    const zip = await new Response(ReadableStream.from(walk(testDir)).pipeThrough(new Writer())).blob()
+    const zipped = await readZipBlob(zip)
+    assert.equal(zipped.length, 5)
+    assert.equal(await zipped[4].text(), 'export default 1')
+    assert.ok(zipped[1].isExecutable)
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('walk should only open files once they are read', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-walk-lazy-${randomUUID()}`)
+  await fs.mkdir(testDir, { recursive: true })
+  try {
+    await fs.writeFile(path.join(testDir, 'a.txt'), 'first')
+    const [entry] = await collect(walk(testDir))
+    // a Blob from openAsBlob would refuse to read a changed file
+    await fs.writeFile(path.join(testDir, 'a.txt'), 'later')
+    assert.equal(await new Response(entry.stream()).text(), 'later')
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('walk should filter with include and exclude globs', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-walk-filter-${randomUUID()}`)
+  await fs.mkdir(path.join(testDir, 'src', 'node_modules', 'dep'), { recursive: true })
+  await fs.mkdir(path.join(testDir, 'docs'))
+  try {
+    await fs.writeFile(path.join(testDir, 'src', 'a.js'), 'a')
+    await fs.writeFile(path.join(testDir, 'src', 'a.js.map'), 'map')
+    await fs.writeFile(path.join(testDir, 'src', 'node_modules', 'dep', 'b.js'), 'b')
+    await fs.writeFile(path.join(testDir, 'docs', 'readme.md'), 'docs')
+
+    const names = async options => (await collect(walk(testDir, options))).map(entry => entry.name)
+
+    assert.deepEqual(await names({ exclude: ['**/node_modules', '**/*.map'] }), ['docs/', 'docs/readme.md', 'src/', 'src/a.js'])
+    // directories without anything included are left out
+    assert.deepEqual(await names({ include: '**/*.js', exclude: 'src/node_modules' }), ['src/', 'src/a.js'])
+    assert.deepEqual(await names({ include: 'docs' }), ['docs/'])
+    assert.deepEqual(await names({ include: /\.md$/ }), ['docs/', 'docs/readme.md'])
+
+    await assert.rejects(collect(walk(testDir, { symlinks: 'skip' })), TypeError)
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('walk should store or follow symlinks', async (t) => {
+  const testDir = path.join(os.tmpdir(), `zip-walk-links-${randomUUID()}`)
+  await fs.mkdir(path.join(testDir, 'dir'), { recursive: true })
+  try {
+    await fs.writeFile(path.join(testDir, 'dir', 'file.txt'), 'target')
+    await fs.symlink('dir/file.txt', path.join(testDir, 'link.txt'))
+    await fs.symlink('dir', path.join(testDir, 'linked-dir'))
+    // loops back to the root
+    await fs.symlink('..', path.join(testDir, 'dir', 'up'))
+
+    const stored = await collect(walk(testDir))
+    assert.deepEqual(stored.map(entry => [entry.name, entry.linkTarget]), [
+      ['dir/', undefined],
+      ['dir/file.txt', undefined],
+      ['dir/up', '..'],
+      ['link.txt', 'dir/file.txt'],
+      ['linked-dir', 'dir']
+    ])
+
+    const followed = await collect(walk(testDir, { symlinks: 'follow' }))
+    assert.deepEqual(followed.map(entry => entry.name), [
+      'dir/', 'dir/file.txt', 'link.txt', 'linked-dir/', 'linked-dir/file.txt'
+    ])
+    assert.equal(await new Response(followed[2].stream()).text(), 'target')
+
+    const zip = await new Response(ReadableStream.from(stored).pipeThrough(new Writer())).blob()
+    const link = (await readZipBlob(zip)).find(entry => entry.name === 'link.txt')
+    assert.ok(link.isSymlink)
+    assert.equal(await link.linkTarget(), 'dir/file.txt')
+
+    // links to nothing, or to themselves, can't be followed
+    await fs.symlink('missing.txt', path.join(testDir, 'dangling'))
+    await fs.symlink('self', path.join(testDir, 'self'))
+    const broken = await collect(walk(testDir, { symlinks: 'follow' }))
+    assert.deepEqual(broken.filter(entry => entry.linkTarget).map(entry => [entry.name, entry.linkTarget]), [
+      ['dangling', 'missing.txt'],
+      ['self', 'self']
+    ])
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true })
+  }
+})
+
+test('walk should take a FileSystemDirectoryHandle', async (t) => {
+  /**
+   * A stand-in for the File System Access API
+   *
+   * @param {string} name
+   * @param {Object} tree
+   */
+  const handle = (name, tree) => typeof tree === 'string'
+    ? { kind: 'file', name, getFile: async () => new File([tree], name, { lastModified: 1e12 }) }
+    : {
+        kind: 'directory',
+        name,
+        async * values () {
+          for (const [child, value] of Object.entries(tree)) yield handle(child, value)
+        }
+      }
+
+  const root = handle('root', { 'b.txt': 'bee', a: { 'c.txt': 'sea' }, empty: {} })
+  const entries = await collect(walk(root))
+  assert.deepEqual(entries.map(entry => entry.name), ['a/', 'a/c.txt', 'b.txt', 'empty/'])
+  assert.equal(entries[1].lastModified, 1e12)
+
+  const zip = await new Response(ReadableStream.from(walk(root, { exclude: 'empty' })).pipeThrough(new Writer())).blob()
+  const zipped = await readZipBlob(zip)
+  assert.deepEqual(zipped.map(entry => entry.name), ['a/', 'a/c.txt', 'b.txt'])
+  assert.equal(await zipped[2].text(), 'bee')
+})
+
+// ============================================================================
+// Concurrent compression
+// ============================================================================
+
+test('concurrency should not change the archive', async (t) => {
+  const random = new Uint8Array(200000).map(() => Math.random() * 256)
+  const lastModified = new Date(2024, 1, 2).getTime()
+  const source = await createZipBlob([new File(['copied as is'.repeat(50)], 'copied.txt', { lastModified })])
+  const [copied] = await readZipBlob(source)
+
+  const entries = () => [
+    new File(['a'.repeat(100000)], 'a.txt', { lastModified }),
+    { name: 'dir', directory: true, lastModified },
+    new File([random], 'random.bin', { lastModified }),
+    { name: 'link', linkTarget: 'a.txt', lastModified },
+    copied,
+    Object.assign(new File(['measured '.repeat(1000)], 'measured.txt', { lastModified }), { dataDescriptor: false }),
+    new File([], 'empty.txt', { lastModified }),
+    { name: 'stored.bin', compression: 'store', lastModified, stream: () => new Blob([random]).stream() }
+  ]
+  const zip = options => new Response(ReadableStream.from(entries())
+    .pipeThrough(new Writer({ compression: 'deflate', ...options }))).arrayBuffer()
+
+  const sequential = new Uint8Array(await zip())
+  for (const concurrency of [2, 3, 8]) {
+    assert.deepEqual(new Uint8Array(await zip({ concurrency })), sequential, `concurrency: ${concurrency}`)
+  }
+  // a tiny high water mark only slows it down
+  assert.deepEqual(new Uint8Array(await zip({ concurrency: 4, highWaterMark: 1 })), sequential)
+
+  const names = (await readZipBlob(new Blob([sequential]))).map(entry => entry.name)
+  assert.deepEqual(names, ['a.txt', 'dir/', 'random.bin', 'link', 'copied.txt', 'measured.txt', 'empty.txt', 'stored.bin'])
+})
+
+test('concurrency should start the next entries while one is written', async (t) => {
+  const events = []
+  let release
+  const released = new Promise(resolve => { release = resolve })
+
+  const entry = (name, wait) => ({
+    name,
+    stream: () => {
+      events.push(`open ${name}`)
+      return ReadableStream.from((async function * () {
+        await wait
+        yield new TextEncoder().encode(name.repeat(1000))
+        events.push(`read ${name}`)
+      })())
+    }
+  })
+
+  const zip = new Response(ReadableStream.from([
+    entry('first', released),
+    entry('second'),
+    entry('third'),
+    entry('fourth')
+  ]).pipeThrough(new Writer({ compression: 'deflate', concurrency: 3 }))).blob()
+
+  await new Promise(resolve => setTimeout(resolve, 50))
+  // the fourth waits for the first to be written
+  assert.deepEqual(events.toSorted(), ['open first', 'open second', 'open third', 'read second', 'read third'])
+  release()
+
+  const entries = await readZipBlob(await zip)
+  assert.deepEqual(entries.map(entry => entry.name), ['first', 'second', 'third', 'fourth'])
+  assert.equal(await entries[3].text(), 'fourth'.repeat(1000))
+})
+
+test('concurrency should cap what entries ahead buffer by the high water mark', async (t) => {
+  let release
+  const released = new Promise(resolve => { release = resolve })
+  let pulled = 0
+
+  const zip = new Response(ReadableStream.from([
+    { name: 'slow.txt', stream: () => ReadableStream.from((async function * () { await released })()) },
+    {
+      name: 'big.bin',
+      stream: () => new ReadableStream({
+        pull (ctrl) {
+          pulled += 65536
+          ctrl.enqueue(new Uint8Array(65536))
+          if (pulled === 65536 * 64) ctrl.close()
+        }
+      }, { highWaterMark: 0 })
+    }
+  ]).pipeThrough(new Writer({ concurrency: 2, highWaterMark: 65536 * 8 }))).blob()
+
+  await new Promise(resolve => setTimeout(resolve, 50))
+  // half of the high water mark each, give or take a few chunks in the pipes
+  assert.ok(pulled > 0 && pulled <= 65536 * 8, `pulled ${pulled} bytes`)
+  release()
+
+  const [, big] = await readZipBlob(await zip)
+  assert.equal(big.size, 65536 * 64)
+})
+
+test('concurrency should report errors of entries that are ahead in order', async (t) => {
+  const failing = {
+    name: 'failing.txt',
+    stream: () => new ReadableStream({ start (ctrl) { ctrl.error(new Error('disk on fire')) } })
+  }
+  await assert.rejects(
+    new Response(ReadableStream.from([new File(['ok'], 'ok.txt'), failing, new File(['ok'], 'after.txt')])
+      .pipeThrough(new Writer({ concurrency: 4 }))).blob(),
+    /disk on fire/
+  )
+
+  // the entries that were started ahead are cancelled
+  const cancelled = []
+  const endless = name => ({
+    name,
+    stream: () => new ReadableStream({
+      pull (ctrl) { ctrl.enqueue(new Uint8Array(1024)) },
+      cancel () { cancelled.push(name) }
+    })
+  })
+  // with 4 the queue never fills, and the failing entry is written in flush
+  for (const concurrency of [3, 4]) {
+    cancelled.length = 0
+    await assert.rejects(
+      new Response(ReadableStream.from([failing, endless('ahead-1.txt'), endless('ahead-2.txt')])
+        .pipeThrough(new Writer({ compression: 'deflate', concurrency, highWaterMark: 65536 }))).blob(),
+      /disk on fire/
+    )
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.deepEqual(cancelled.sort(), ['ahead-1.txt', 'ahead-2.txt'], `concurrency: ${concurrency}`)
+  }
+
+  assert.throws(() => new Writer({ concurrency: 0 }), RangeError)
+  assert.throws(() => new Writer({ concurrency: 1.5 }), RangeError)
+  assert.throws(() => new Writer({ highWaterMark: -1 }), RangeError)
+})
+
+test('concurrency should still reject copied entries with the same name', async (t) => {
+  const source = await createZipBlob([new File(['a'], 'a.txt'), new File(['b'], 'b.txt')])
+  const [a, b] = await readZipBlob(source)
+  b.name = 'a.txt'
+  for (const concurrency of [1, 2]) {
+    await assert.rejects(
+      new Response(ReadableStream.from([a, b]).pipeThrough(new Writer({ concurrency }))).blob(),
+      /File already exists/,
+      `concurrency: ${concurrency}`
+    )
+  }
+})
+
+test('concurrency should work with encrypted entries', async (t) => {
+  const files = Array.from({ length: 20 }, (_, i) => new File([`secret ${i} `.repeat(100)], `${i}.txt`))
+  const zip = await new Response(ReadableStream.from(files)
+    .pipeThrough(new Writer({ compression: 'deflate', password: 'hunter2', concurrency: 5 }))).blob()
+
+  const entries = []
+  for await (const entry of read(zip, { password: 'hunter2' })) entries.push(entry)
+  assert.equal(entries.length, 20)
+  for (const [i, entry] of entries.entries()) {
+    assert.equal(entry.name, `${i}.txt`)
+    assert.equal(await entry.text(), `secret ${i} `.repeat(100))
+  }
+})
+
+// ============================================================================
+// CRC-32
+// ============================================================================
+
+/**
+ * The byte at a time loop crc.js used before slice-by-8, as a reference
+ *
+ * @param {Uint8Array} data
+ */
+function bytewiseCrc32 (data) {
+  const { table } = Crc32.prototype
+  let crc = -1
+  for (let offset = 0; offset < data.length; offset++) {
+    crc = (crc >>> 8) ^ table[(crc ^ data[offset]) & 0xff]
+  }
+  return (crc ^ -1) >>> 0
+}
+
+test('Crc32 should match zlib at every length and alignment', async (t) => {
+  const zlib = await import('node:zlib')
+  assert.equal(crc32Of(new TextEncoder().encode('123456789')), 0xcbf43926)
+
+  const data = new Uint8Array(300).map(() => Math.random() * 256)
+  for (let start = 0; start < 9; start++) {
+    for (let end = start; end < data.length; end += 7) {
+      const slice = data.subarray(start, end)
+      assert.equal(crc32Of(slice), zlib.crc32(slice), `${start}..${end}`)
+    }
+  }
+
+  // split across appends anywhere
+  const crc = new Crc32()
+  crc.append(data.subarray(0, 3))
+  crc.append(data.subarray(3, 100))
+  crc.append(data.subarray(100))
+  assert.equal(crc.get(), zlib.crc32(data))
+})
+
+test('Crc32.combine should merge the crcs of consecutive pieces', async (t) => {
+  const data = new Uint8Array(5000).map(() => Math.random() * 256)
+  for (const split of [0, 1, 7, 8, 9, 1000, 4999, 5000]) {
+    const a = data.subarray(0, split)
+    const b = data.subarray(split)
+    assert.equal(Crc32.combine(crc32Of(a), crc32Of(b), b.length), crc32Of(data), `split at ${split}`)
+  }
+
+  // four pieces done separately, merged left to right
+  const pieces = [0, 1250, 2500, 3750].map(start => data.subarray(start, start + 1250))
+  const combined = pieces.reduce((crc, piece) => Crc32.combine(crc, crc32Of(piece), piece.length), 0)
+  assert.equal(combined, crc32Of(data))
+
+  // lengths over 4 GiB, appending 2^32 zero bytes twice is the same as 2^33
+  const zeros = 2 ** 32
+  const crcOfZeros = Crc32.combine(0, 0, zeros) // crc of 2^32 zero bytes from the crc of none
+  const once = Crc32.combine(crc32Of(data), crcOfZeros, zeros)
+  assert.equal(
+    Crc32.combine(once, crcOfZeros, BigInt(zeros)),
+    Crc32.combine(crc32Of(data), Crc32.combine(crcOfZeros, crcOfZeros, zeros), 2 * zeros)
+  )
+})
+
+test('Crc32 should match a byte at a time, and report how much faster it is', async (t) => {
+  const data = new Uint8Array(32 * 1024 * 1024).map((_, i) => i * 31)
+  const time = fn => {
+    const start = performance.now()
+    const result = fn()
+    return { result, ms: performance.now() - start }
+  }
+
+  // warm both up first
+  bytewiseCrc32(data.subarray(0, 1 << 20))
+  crc32Of(data.subarray(0, 1 << 20))
+
+  const bytewise = time(() => bytewiseCrc32(data))
+  const sliced = time(() => crc32Of(data))
+  const mbps = ms => (32 / (ms / 1000)).toFixed(0)
+  // only a benchmark, timings are too noisy on shared machines to assert on
+  t.diagnostic(`byte at a time: ${mbps(bytewise.ms)} MB/s, slice-by-8: ${mbps(sliced.ms)} MB/s`)
+
+  assert.equal(sliced.result, bytewise.result)
+})
+
+// ============================================================================
+// Predicting the archive
+// ============================================================================
+
+test('predictSize should match what the Writer makes', async (t) => {
+  const lastModified = new Date(2024, 5, 6).getTime()
+  const random = new Uint8Array(70000).map(() => Math.random() * 256)
+  const [copied] = await readZipBlob(await createZipBlob([
+    new File(['copied '.repeat(100)], 'copied.txt', { lastModified })
+  ]))
+  const deflated = await new Response(ReadableStream.from([new File(['deflated '.repeat(100)], 'deflated.txt')])
+    .pipeThrough(new Writer({ compression: 'deflate' }))).blob()
+  const [copiedDeflated] = await readZipBlob(deflated)
+
+  const entries = () => [
+    new File([random], 'random.bin', { lastModified }),
+    new File([], 'empty.txt', { lastModified }),
+    { name: 'dir', directory: true, lastModified, mode: 0o755 },
+    { name: 'link', linkTarget: 'random.bin', lastModified },
+    { name: 'ünïcödé.txt', comment: 'ça va', size: 3, stream: () => new Blob(['abc']).stream(), lastModified },
+    copied,
+    copiedDeflated,
+    Object.assign(new File(['own settings'], 'own.txt', { lastModified }), { dataDescriptor: false, forceZip64: true })
+  ]
+
+  for (const options of [
+    {},
+    { dataDescriptor: false },
+    { forceZip64: true },
+    { comment: 'archive comment', ntfsTimes: true },
+    { encoding: 'cp437' },
+    { password: 'hunter2' },
+    { password: 'hunter2', encryption: 'aes192' },
+    { password: 'hunter2', encryption: 'aes128', dataDescriptor: false }
+  ]) {
+    const zip = await new Response(ReadableStream.from(entries()).pipeThrough(new Writer(options))).blob()
+    assert.equal(await predictSize(entries(), options), zip.size, JSON.stringify(options))
+  }
+
+  // async iterables work too
+  async function * generated () {
+    yield new File(['generated'], 'generated.txt')
+  }
+  assert.equal(await predictSize(generated()), (await createZipBlob(generated())).size)
+  assert.equal(await predictSize([]), 22)
+})
+
+test('predictSize should reject entries whose size is only known once written', async (t) => {
+  await assert.rejects(
+    predictSize([new File(['a'], 'a.txt')], { compression: 'deflate' }),
+    /a\.txt is compressed/
+  )
+  await assert.rejects(
+    predictSize([{ name: 'b.txt', stream: () => new Blob(['b']).stream() }]),
+    /b\.txt has no size/
+  )
+  // stored entries of a deflating Writer are fine
+  assert.equal(
+    await predictSize([Object.assign(new File(['a'], 'a.txt'), { compression: 'store' })], { compression: 'deflate' }),
+    (await createZipBlob([new File(['a'], 'a.txt')])).size
+  )
+})
+
+test('sliceArchive should produce any byte range of the archive', async (t) => {
+  const lastModified = new Date(2024, 5, 6).getTime()
+  const data = new Uint8Array(100000).map((_, i) => i * 13)
+  let streamed = 0
+  const entries = () => [
+    new File([data], 'data.bin', { lastModified }),
+    { name: 'dir/', directory: true, lastModified },
+    { name: 'link', linkTarget: 'data.bin', lastModified },
+    // without a crc32 it's read once to get it, then only what's in range
+    {
+      name: 'stream.txt',
+      size: 600,
+      lastModified,
+      stream: () => {
+        streamed++
+        return new Blob(['streamed '.repeat(60) + 'x'.repeat(60)]).stream()
+      }
+    }
+  ]
+
+  for (const options of [{}, { dataDescriptor: false, comment: 'sliced' }, { forceZip64: true }]) {
+    const zip = new Uint8Array(await new Response(ReadableStream.from(entries()).pipeThrough(new Writer(options))).arrayBuffer())
+    const slice = async (start, end) => new Uint8Array(await new Response(sliceArchive(entries(), start, end, options)).arrayBuffer())
+
+    assert.deepEqual(await slice(), zip)
+    for (const [start, end] of [[0, 10], [5, 100005], [50000, 50001], [zip.length - 100, zip.length], [zip.length - 1000, undefined], [100100, 100200]]) {
+      assert.deepEqual(await slice(start, end), zip.slice(start, end), `${start}-${end}`)
+    }
+    assert.equal((await slice(10, 10)).length, 0)
+  }
+
+  // the crc is known when it's given, so the tail doesn't touch the data
+  streamed = 0
+  const withCrc = entries()
+  withCrc[3].crc32 = crc32Of(new TextEncoder().encode('streamed '.repeat(60) + 'x'.repeat(60)))
+  await new Response(sliceArchive(withCrc, -1 >>> 0)).arrayBuffer()
+  assert.equal(streamed, 0)
+
+  await assert.rejects(
+    new Response(sliceArchive(entries(), 0, 10, { password: 'hunter2' })).arrayBuffer(),
+    /encrypted/
+  )
+  await assert.rejects(
+    new Response(sliceArchive([{ name: 'short.txt', size: 10, crc32: 0, stream: () => new Blob(['short']).stream() }])).arrayBuffer(),
+    ZipIntegrityError
+  )
+})
+
+test('sliceArchive should serve Range requests of a huge archive without reading it', async (t) => {
+  const lastModified = new Date(2024, 5, 6).getTime()
+  const huge = 5 * 1024 * 1024 * 1024
+  let sliced = 0
+  const entries = [
+    new File(['before'], 'before.txt', { lastModified }),
+    {
+      name: 'huge.bin',
+      size: huge,
+      crc32: 0x12345678,
+      lastModified,
+      slice (start, end) {
+        sliced += end - start
+        return new Blob([new Uint8Array(end - start)])
+      },
+      stream: () => { throw new Error('huge.bin should be sliced') }
+    },
+    new File(['after'], 'after.txt', { lastModified })
+  ]
+  const size = await predictSize(entries)
+  assert.ok(size > huge)
+
+  // a server answering Range requests from the entries
+  const fetch = async (url, { headers }) => {
+    const [, start, end] = /bytes=(\d+)-(\d+)/.exec(new Headers(headers).get('Range'))
+    return new Response(sliceArchive(entries, Number(start), Number(end) + 1), { status: 206 })
+  }
+  const blob = await fromURL('https://example.com/huge.zip', { fetch, size })
+  const archive = await openArchive(blob)
+
+  assert.ok(archive.zip64)
+  assert.deepEqual([...archive].map(entry => entry.name), ['before.txt', 'huge.bin', 'after.txt'])
+  assert.equal(archive.get('huge.bin').size, huge)
+  assert.equal(archive.get('huge.bin').crc32, 0x12345678)
+  // its local header is past 4 GiB
+  assert.equal(await archive.get('after.txt').text(), 'after')
+  // and so has a zip64 field, which streaming readers take to mean that the
+  // data descriptor has 8 byte sizes
+  const after = archive.get('after.txt')
+  const tail = new Uint8Array(await new Response(sliceArchive(entries, after.offset, size)).arrayBuffer())
+  const header = localHeaderAt(tail, 0)
+  assert.equal(header.compressedSize, 0xffffffff)
+  const tailView = new DataView(tail.buffer)
+  assert.equal(tailView.getUint32(header.length + 5, true), 0x08074b50)
+  assert.equal(tailView.getUint32(header.length + 5 + 24, true), 0x02014b50)
+  assert.equal(await archive.get('before.txt').text(), 'before')
+  // only the blocks around the headers
+  assert.ok(sliced < 1024 * 1024, `sliced ${sliced} bytes`)
+})